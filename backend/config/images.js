@@ -0,0 +1,34 @@
+// Image attachment limits. Uploads are re-encoded, so these bound the work
+// done per request as much as the stored size.
+const path = require('path');
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+module.exports = {
+  MAX_IMAGES_PER_POST: 4,
+
+  // Accepted upload types (checked again by decoding, the header is not trusted)
+  ACCEPTED_TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+
+  // Upload size per file, before re-encoding
+  MAX_UPLOAD_BYTES: readInt('IMAGE_MAX_UPLOAD_BYTES', 5 * 1024 * 1024),
+
+  // Decompression-bomb guard: refuse inputs with more pixels than this
+  MAX_INPUT_PIXELS: 40 * 1000 * 1000,
+
+  // Longest side after resizing, and WebP quality of the stored copy
+  MAX_DIMENSION: readInt('IMAGE_MAX_DIMENSION', 1600),
+  WEBP_QUALITY: 80,
+
+  // Uploaded images that are not attached to a post within this time are removed
+  PENDING_TTL_MS: 60 * 60 * 1000,
+
+  // Images of a burned post stay readable this long, so the last reader's
+  // browser can still load them
+  BURN_GRACE_MS: 5 * 60 * 1000,
+
+  UPLOAD_DIR: process.env.UPLOAD_DIR || path.join(__dirname, '../uploads/images')
+};
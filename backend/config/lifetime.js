@@ -0,0 +1,99 @@
+// Post lifetimes the author can choose from, and which of them each category
+// allows. Bounds can be overridden with JSON in the environment, e.g.
+//   POST_LIFETIME_BOUNDS={"default":{"min":"1h","max":"30d"},"confession":{"max":"3d"}}
+
+const HOUR = 60 * 60 * 1000;
+
+const LIFETIMES = {
+  '1h': HOUR,
+  '24h': 24 * HOUR,
+  '3d': 3 * 24 * HOUR,
+  '7d': 7 * 24 * HOUR,
+  '30d': 30 * 24 * HOUR
+};
+
+const DEFAULT_LIFETIME = '7d';
+
+// Burn-after-reading: allowed range for the view limit
+const MAX_BURN_VIEWS = 1000;
+
+const DEFAULT_BOUNDS = {
+  default: { min: '1h', max: '30d' },
+  confession: { min: '1h', max: '7d' }
+};
+
+const parseBounds = () => {
+  const raw = process.env.POST_LIFETIME_BOUNDS;
+  if (!raw) return DEFAULT_BOUNDS;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`POST_LIFETIME_BOUNDS must be valid JSON: ${error.message}`);
+  }
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('POST_LIFETIME_BOUNDS must be an object of categories');
+  }
+
+  const bounds = { ...DEFAULT_BOUNDS };
+  for (const [category, value] of Object.entries(overrides)) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`POST_LIFETIME_BOUNDS.${category} must be an object with min and/or max`);
+    }
+    bounds[category] = { ...(DEFAULT_BOUNDS[category] || DEFAULT_BOUNDS.default), ...value };
+  }
+
+  // Fail at startup rather than on the first post in a misconfigured category
+  for (const [category, value] of Object.entries(bounds)) {
+    const { min, max } = { ...bounds.default, ...value };
+    for (const key of Object.keys(value)) {
+      if (key !== 'min' && key !== 'max') {
+        throw new Error(`POST_LIFETIME_BOUNDS.${category}: unknown option "${key}"`);
+      }
+    }
+    for (const key of [min, max]) {
+      if (!Object.prototype.hasOwnProperty.call(LIFETIMES, key)) {
+        throw new Error(`POST_LIFETIME_BOUNDS.${category}: unknown lifetime "${key}" (use ${Object.keys(LIFETIMES).join(', ')})`);
+      }
+    }
+    if (LIFETIMES[min] > LIFETIMES[max]) {
+      throw new Error(`POST_LIFETIME_BOUNDS.${category}: min ${min} is longer than max ${max}`);
+    }
+  }
+  return bounds;
+};
+
+const bounds = parseBounds();
+
+// Lifetime keys allowed in `category`, shortest first
+const allowedLifetimes = (category) => {
+  const { min, max } = { ...bounds.default, ...bounds[category] };
+  return Object.keys(LIFETIMES).filter(key =>
+    LIFETIMES[key] >= LIFETIMES[min] && LIFETIMES[key] <= LIFETIMES[max]
+  );
+};
+
+// Lifetime in ms for a post in `category`: the requested one, or the default
+// clamped into the category's range. Returns null if `requested` is not allowed.
+const resolveLifetime = (category, requested) => {
+  const allowed = allowedLifetimes(category);
+
+  if (requested) {
+    return allowed.includes(requested) ? LIFETIMES[requested] : null;
+  }
+
+  if (allowed.includes(DEFAULT_LIFETIME)) {
+    return LIFETIMES[DEFAULT_LIFETIME];
+  }
+  return LIFETIMES[allowed[allowed.length - 1]];
+};
+
+module.exports = {
+  LIFETIMES,
+  DEFAULT_LIFETIME,
+  MAX_BURN_VIEWS,
+  allowedLifetimes,
+  resolveLifetime
+};
@@ -0,0 +1,60 @@
+// Flag reasons, weights and the thresholds at which content is hidden for review.
+// Defaults can be overridden with JSON in the environment, e.g.
+//   FLAG_THRESHOLDS={"post":{"default":5,"crypto":3},"comment":{"default":3}}
+//   FLAG_WEIGHTS={"default":{"spam":1,"illegal":3},"confession":{"harassment":3}}
+
+const FLAG_REASONS = ['spam', 'illegal', 'harassment', 'off-topic'];
+
+const DEFAULT_THRESHOLDS = {
+  post: { default: 5 },
+  comment: { default: 3 }
+};
+
+const DEFAULT_WEIGHTS = {
+  default: {
+    spam: 1,
+    illegal: 3,
+    harassment: 2,
+    'off-topic': 0.5
+  }
+};
+
+const parseOverride = (name) => {
+  const raw = process.env[name];
+  if (!raw) return {};
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON: ${error.message}`);
+  }
+};
+
+const merge = (defaults, overrides) => {
+  const result = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    result[key] = { ...(defaults[key] || {}), ...value };
+  }
+  return result;
+};
+
+const thresholds = merge(DEFAULT_THRESHOLDS, parseOverride('FLAG_THRESHOLDS'));
+const weights = merge(DEFAULT_WEIGHTS, parseOverride('FLAG_WEIGHTS'));
+
+// Flag weight at which a post or comment in `category` is hidden
+const thresholdFor = (targetType, category) => {
+  const table = thresholds[targetType] || {};
+  return table[category] ?? table.default ?? DEFAULT_THRESHOLDS[targetType].default;
+};
+
+// How much one flag with `reason` counts towards the threshold in `category`
+const weightFor = (reason, category) => {
+  const table = weights[category] || {};
+  return table[reason] ?? weights.default[reason] ?? 1;
+};
+
+module.exports = {
+  FLAG_REASONS,
+  thresholdFor,
+  weightFor
+};
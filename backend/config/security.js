@@ -0,0 +1,7 @@
+// Security-related settings read from the environment
+
+module.exports = {
+  // Bearer token for the moderation API (/api/admin). The API is disabled
+  // while this is unset.
+  adminToken: process.env.ADMIN_TOKEN || null
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12; // 96-bit IV, the recommended size for GCM
+const AAD = Buffer.from('anonforum', 'utf8');
+const KEY_PATTERN = /^[0-9a-fA-F]{64}$/;
+const WATCH_INTERVAL_MS = 2000;
+
+const DECRYPTION_FAILED = '[Content could not be decrypted]';
+
+// Short fingerprint stored with each record so we know which key encrypted it
+const fingerprint = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+};
+
+const parseKey = (id, hex, source) => {
+  if (!id || !hex || !KEY_PATTERN.test(hex)) {
+    throw new Error(`Invalid encryption key "${id || '?'}" in ${source}: expected 64 hex characters`);
+  }
+  return { id: String(id), key: Buffer.from(hex, 'hex') };
+};
+
+// Build the keyring, oldest key first. Sources, in order:
+//   ENCRYPTION_KEY            single key (id from ENCRYPTION_KEY_ID or its fingerprint)
+//   ENCRYPTION_KEYRING_FILE   JSON file: { "keys": [{ "id": "...", "key": "<hex>" }, ...] }
+//   ENCRYPTION_KEYS           "id1:hex1,id2:hex2"
+// New content is encrypted with ENCRYPTION_CURRENT_KEY_ID, or the last key listed.
+const loadKeyring = () => {
+  const entries = [];
+
+  if (process.env.ENCRYPTION_KEY) {
+    const hex = process.env.ENCRYPTION_KEY;
+    const id = process.env.ENCRYPTION_KEY_ID ||
+      (KEY_PATTERN.test(hex) ? fingerprint(Buffer.from(hex, 'hex')) : 'default');
+    entries.push(parseKey(id, hex, 'ENCRYPTION_KEY'));
+  }
+
+  if (process.env.ENCRYPTION_KEYRING_FILE) {
+    const file = JSON.parse(fs.readFileSync(process.env.ENCRYPTION_KEYRING_FILE, 'utf8'));
+    (file.keys || []).forEach(({ id, key }) => {
+      entries.push(parseKey(id, key, 'ENCRYPTION_KEYRING_FILE'));
+    });
+  }
+
+  if (process.env.ENCRYPTION_KEYS) {
+    process.env.ENCRYPTION_KEYS.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+      const [id, hex] = item.split(':');
+      entries.push(parseKey(id, hex, 'ENCRYPTION_KEYS'));
+    });
+  }
+
+  if (entries.length === 0) {
+    throw new Error('No encryption key configured: set ENCRYPTION_KEY, ENCRYPTION_KEYS or ENCRYPTION_KEYRING_FILE');
+  }
+
+  const keys = new Map(entries.map(entry => [entry.id, entry.key]));
+  const currentId = process.env.ENCRYPTION_CURRENT_KEY_ID || entries[entries.length - 1].id;
+
+  if (!keys.has(currentId)) {
+    throw new Error(`ENCRYPTION_CURRENT_KEY_ID "${currentId}" is not in the keyring`);
+  }
+
+  return { keys, current: { id: currentId, key: keys.get(currentId) } };
+};
+
+let keyring = null;
+
+const getKeyring = () => {
+  if (!keyring) {
+    keyring = loadKeyring();
+  }
+  return keyring;
+};
+
+// Re-read the keyring file (environment variables cannot change in a running
+// process). The new keyring only replaces the old one if it is valid, so a
+// half-written file never leaves the server without keys.
+const reloadKeyring = () => {
+  keyring = loadKeyring();
+  return keyring;
+};
+
+// Reload when ENCRYPTION_KEYRING_FILE changes, so a key added for rotation is
+// used for new content before scripts/rotate-keys.js re-encrypts old records
+let watching = false;
+
+const watchKeyring = () => {
+  const file = process.env.ENCRYPTION_KEYRING_FILE;
+  if (!file || watching) return;
+  watching = true;
+
+  fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+
+    try {
+      reloadKeyring();
+      logger.info('Encryption keyring reloaded:', { currentKeyId: getCurrentKeyId() });
+    } catch (error) {
+      logger.error('Keyring reload failed, keeping the previous keys:', error.message);
+    }
+  }).unref();
+};
+
+// Called at startup: refuse to run with a missing or malformed key rather than
+// silently encrypting under a throwaway one
+const assertKeyConfigured = () => {
+  getKeyring();
+};
+
+const isKeyConfigured = () => {
+  try {
+    getKeyring();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getCurrentKeyId = () => getKeyring().current.id;
+
+const encrypt = (plaintext) => {
+  const { id, key } = getKeyring().current;
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(AAD);
+
+  let ciphertext = cipher.update(String(plaintext), 'utf8', 'hex');
+  ciphertext += cipher.final('hex');
+
+  return {
+    ciphertext,
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+    keyId: id
+  };
+};
+
+// Records written before this module existed hold a bare string instead of
+// { ciphertext, iv, authTag, keyId }
+const isLegacy = (data) => typeof data === 'string';
+
+// Throws if the record's key is not in the keyring or authentication fails
+const decryptStrict = (data) => {
+  const key = getKeyring().keys.get(data.keyId);
+
+  if (!key) {
+    throw new Error(`Unknown key id ${data.keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(data.iv, 'hex'));
+  decipher.setAAD(AAD);
+  decipher.setAuthTag(Buffer.from(data.authTag, 'hex'));
+
+  let plaintext = decipher.update(data.ciphertext, 'hex', 'utf8');
+  plaintext += decipher.final('utf8');
+
+  return plaintext;
+};
+
+const decrypt = (data) => {
+  if (!data || isLegacy(data)) {
+    return DECRYPTION_FAILED;
+  }
+
+  try {
+    return decryptStrict(data);
+  } catch (error) {
+    logger.error('Decryption failed:', error.message);
+    return DECRYPTION_FAILED;
+  }
+};
+
+// Re-encrypt a record under the current key; throws if it cannot be decrypted
+const rotate = (data) => encrypt(decryptStrict(data));
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isLegacy,
+  rotate,
+  getCurrentKeyId,
+  reloadKeyring,
+  watchKeyring,
+  assertKeyConfigured,
+  isKeyConfigured,
+  DECRYPTION_FAILED
+};
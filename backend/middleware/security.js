@@ -1,20 +1,35 @@
-const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { body, query, validationResult } = require('express-validator');
 const DOMPurify = require('dompurify');
 const { JSDOM } = require('jsdom');
 const rateLimit = require('express-rate-limit');
 const logger = require('../utils/logger');
+const { FLAG_REASONS } = require('../config/moderation');
+const { LIFETIMES, MAX_BURN_VIEWS } = require('../config/lifetime');
+const { MAX_IMAGES_PER_POST } = require('../config/images');
+const contentRules = require('../utils/contentRules');
+const markdown = require('../utils/markdown');
+const proofOfWork = require('../utils/proofOfWork');
+const { adminToken } = require('../config/security');
 
 // Initialize DOMPurify with jsdom
 const window = new JSDOM('').window;
 const purify = DOMPurify(window);
 
+// Body fields kept verbatim (only trimmed): post and comment bodies are
+// Markdown, which frontend/js/markdown.js escapes and allowlist-sanitizes when
+// rendering. Stripping `<`/`>` here would drop quote markers and mangle code.
+const RAW_BODY_FIELDS = ['content'];
+
 // Content sanitization
 const sanitizeInput = (req, res, next) => {
   try {
     // Sanitize all string inputs
-    const sanitizeObject = (obj) => {
+    const sanitizeObject = (obj, rawFields = []) => {
       for (const key in obj) {
-        if (typeof obj[key] === 'string') {
+        if (typeof obj[key] === 'string' && rawFields.includes(key)) {
+          obj[key] = obj[key].trim();
+        } else if (typeof obj[key] === 'string') {
           // Remove HTML tags and potentially dangerous characters
           obj[key] = purify.sanitize(obj[key], { 
             ALLOWED_TAGS: [], 
@@ -34,7 +49,7 @@ const sanitizeInput = (req, res, next) => {
       }
     };
 
-    if (req.body) sanitizeObject(req.body);
+    if (req.body) sanitizeObject(req.body, RAW_BODY_FIELDS);
     if (req.query) sanitizeObject(req.query);
     if (req.params) sanitizeObject(req.params);
 
@@ -66,6 +81,22 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Lifetime / burn-after-reading options shared by public and private posts
+const lifetimeValidationRules = () => {
+  return [
+    body('lifetime')
+      .optional()
+      .isIn(Object.keys(LIFETIMES))
+      .withMessage(`Lifetime must be one of: ${Object.keys(LIFETIMES).join(', ')}`),
+    
+    body('burnAfterViews')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: MAX_BURN_VIEWS })
+      .withMessage(`Burn after views must be between 1 and ${MAX_BURN_VIEWS}`)
+      .toInt()
+  ];
+};
+
 // Post validation rules
 const postValidationRules = () => {
   return [
@@ -77,28 +108,14 @@ const postValidationRules = () => {
     
     body('content')
       .isLength({ min: 10, max: 5000 })
-      .withMessage('Content must be between 10 and 5000 characters')
-      .custom((value) => {
-        // Check for potential spam patterns
-        const spamPatterns = [
-          /(.)\1{10,}/, // Repeated characters
-          /(https?:\/\/[^\s]+){3,}/, // Multiple URLs
-          /[A-Z]{20,}/, // All caps spam
-          /(\b\w+\b\s*){1,3}\1{5,}/ // Repeated words
-        ];
-        
-        for (const pattern of spamPatterns) {
-          if (pattern.test(value)) {
-            throw new Error('Content appears to be spam');
-          }
-        }
-        return true;
-      }),
+      .withMessage('Content must be between 10 and 5000 characters'),
     
     body('category')
       .isIn(['general', 'tech', 'crypto', 'society', 'random', 'confession', 'question'])
       .withMessage('Invalid category'),
     
+    ...lifetimeValidationRules(),
+    
     body('tags')
       .optional()
       .isArray({ max: 5 })
@@ -115,31 +132,130 @@ const postValidationRules = () => {
           }
         }
         return true;
+      }),
+    
+    // { id, token } pairs returned by POST /api/images
+    body('images')
+      .optional()
+      .isArray({ max: MAX_IMAGES_PER_POST })
+      .withMessage(`Maximum ${MAX_IMAGES_PER_POST} images allowed`)
+      .custom((images) => {
+        if (!Array.isArray(images)) return true;
+        if (!images.every(image => typeof image?.id === 'string' && /^[0-9a-f]{64}$/.test(image.id) &&
+          typeof image.token === 'string' && /^[0-9a-f]{48}$/.test(image.token))) {
+          throw new Error('Invalid image ID');
+        }
+        if (new Set(images.map(image => image.id)).size !== images.length) {
+          throw new Error('Duplicate image');
+        }
+        return true;
       })
   ];
 };
 
+// Private (end-to-end encrypted) posts: title and content are ciphertext made
+// by frontend/js/encryption.js, so only their shape and size can be checked.
+// Limits allow for the plaintext limits above in 4-byte UTF-8, plus IV, tag
+// and base64url overhead.
+const E2E_PATTERN = /^e2e1\.[A-Za-z0-9_-]+$/;
+
+const privatePostValidationRules = () => {
+  return [
+    body('title')
+      .isLength({ min: 1, max: 1200 })
+      .matches(E2E_PATTERN)
+      .withMessage('Encrypted title is malformed'),
+    
+    body('content')
+      .isLength({ min: 1, max: 27000 })
+      .matches(E2E_PATTERN)
+      .withMessage('Encrypted content is malformed'),
+    
+    body('category')
+      .isIn(['general', 'tech', 'crypto', 'society', 'random', 'confession', 'question'])
+      .withMessage('Invalid category'),
+    
+    // Tags are stored in the clear, so private threads cannot have any
+    body('tags')
+      .optional()
+      .isArray({ max: 0 })
+      .withMessage('Private threads cannot have tags'),
+    
+    // Images are served unencrypted, so they cannot be attached either
+    body('images')
+      .optional()
+      .isArray({ max: 0 })
+      .withMessage('Private threads cannot have images'),
+    
+    ...lifetimeValidationRules()
+  ];
+};
+
 // Comment validation rules
 const commentValidationRules = () => {
   return [
     body('content')
       .isLength({ min: 1, max: 2000 })
-      .withMessage('Comment must be between 1 and 2000 characters')
-      .custom((value) => {
-        // Check for spam patterns
-        const spamPatterns = [
-          /(.)\1{10,}/,
-          /(https?:\/\/[^\s]+){2,}/,
-          /[A-Z]{15,}/
-        ];
-        
-        for (const pattern of spamPatterns) {
-          if (pattern.test(value)) {
-            throw new Error('Comment appears to be spam');
-          }
-        }
-        return true;
-      })
+      .withMessage('Comment must be between 1 and 2000 characters'),
+    
+    body('parentCommentId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid parent comment ID')
+  ];
+};
+
+// Comments on private threads, encrypted with the thread key
+const privateCommentValidationRules = () => {
+  return [
+    body('content')
+      .isLength({ min: 1, max: 11000 })
+      .matches(E2E_PATTERN)
+      .withMessage('Encrypted comment is malformed'),
+    
+    body('parentCommentId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid parent comment ID')
+  ];
+};
+
+// Run the public or the private rule set depending on body.isPrivate
+const privacyAwareValidation = (publicRules, privateRules) => async (req, res, next) => {
+  const rules = req.body.isPrivate === true ? privateRules : publicRules;
+  
+  try {
+    for (const rule of rules) {
+      await rule.run(req);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Search validation rules
+const searchValidationRules = () => {
+  return [
+    query('q')
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Search query must be between 2 and 100 characters'),
+    
+    query('category')
+      .optional()
+      .isIn(['all', 'general', 'tech', 'crypto', 'society', 'random', 'confession', 'question'])
+      .withMessage('Invalid category')
+  ];
+};
+
+// Flag validation rules
+const flagValidationRules = () => {
+  return [
+    body('reason')
+      .isIn(FLAG_REASONS)
+      .withMessage(`Reason must be one of: ${FLAG_REASONS.join(', ')}`)
   ];
 };
 
@@ -151,7 +267,6 @@ const createIPRateLimiter = (windowMs, max, message) => {
     message: { error: message },
     keyGenerator: (req) => {
       // Use a combination of IP and User-Agent for better rate limiting
-      const crypto = require('crypto');
       const identifier = req.ip + (req.get('User-Agent') || '');
       return crypto.createHash('sha256').update(identifier).digest('hex');
     },
@@ -173,44 +288,35 @@ const createIPRateLimiter = (windowMs, max, message) => {
   });
 };
 
-// Content filtering for inappropriate content
-const contentFilter = (req, res, next) => {
-  const checkContent = (text) => {
-    if (!text) return true;
-    
-    // Basic profanity and inappropriate content detection
-    const inappropriatePatterns = [
-      // Add patterns for content you want to filter
-      /\b(spam|scam|fake)\b/gi,
-      /\b(buy now|click here|urgent)\b/gi,
-      // Add more patterns as needed
-    ];
-    
-    for (const pattern of inappropriatePatterns) {
-      if (pattern.test(text)) {
-        return false;
-      }
-    }
-    return true;
-  };
+// Content filtering against the scored rules in utils/contentRules.
+// Rejects high-scoring content; lower scores that still need a look are
+// passed on with req.contentFilter.decision === 'review' so the route can
+// hold them for moderation.
+const contentFilter = (target) => (req, res, next) => {
+  // Private threads are end-to-end encrypted; there is nothing to read
+  if (req.body.isPrivate === true) return next();
 
   try {
-    const title = req.body.title;
-    const content = req.body.content;
+    const { title, content } = req.body;
+    const result = contentRules.evaluate(target, { title, content });
 
-    if (!checkContent(title) || !checkContent(content)) {
-      logger.warn('Inappropriate content detected:', {
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
-        title: title?.substring(0, 50),
-        content: content?.substring(0, 100)
+    if (result.decision !== 'allow') {
+      logger.warn('Content filter matched:', {
+        target,
+        decision: result.decision,
+        score: result.score,
+        matches: result.matches,
+        ip: req.ip
       });
-      
+    }
+
+    if (result.decision === 'reject') {
       return res.status(400).json({
         error: 'Content violates community guidelines'
       });
     }
 
+    req.contentFilter = result;
     next();
   } catch (error) {
     logger.error('Content filter error:', error);
@@ -218,6 +324,33 @@ const contentFilter = (req, res, next) => {
   }
 };
 
+// Require a solved proof-of-work challenge (see utils/proofOfWork), sent as
+// X-PoW-Challenge / X-PoW-Nonce headers
+const requireProofOfWork = (purpose) => (req, res, next) => {
+  if (!proofOfWork.isEnabled()) return next();
+
+  const failure = proofOfWork.verifySolution(
+    req.get('X-PoW-Challenge'),
+    req.get('X-PoW-Nonce'),
+    purpose
+  );
+
+  if (failure) {
+    logger.warn('Proof of work rejected:', {
+      reason: failure,
+      path: req.path,
+      ip: req.ip
+    });
+
+    return res.status(403).json({
+      error: failure,
+      code: 'POW_REQUIRED'
+    });
+  }
+
+  next();
+};
+
 // Security headers middleware
 const securityHeaders = (req, res, next) => {
   // Additional security headers
@@ -233,6 +366,33 @@ const securityHeaders = (req, res, next) => {
   next();
 };
 
+// Admin authentication for the moderation API (Authorization: Bearer <ADMIN_TOKEN>)
+const requireAdmin = (req, res, next) => {
+  if (!adminToken) {
+    return res.status(503).json({ error: 'Moderation API is not configured' });
+  }
+  
+  const header = req.get('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+  
+  // Compare fixed-length digests so the check runs in constant time
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(adminToken))) {
+    logger.warn('Rejected admin request:', {
+      ip: req.ip,
+      path: req.path,
+      method: req.method
+    });
+    
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  // Identify the moderator in the audit log without storing the token
+  req.adminActor = digest(provided).toString('hex').substring(0, 12);
+  next();
+};
+
 // Request size limiter
 const requestSizeLimiter = (req, res, next) => {
   const contentLength = req.get('Content-Length');
@@ -265,11 +425,14 @@ const suspiciousActivityDetector = (req, res, next) => {
     /onerror\s*=/gi
   ];
 
-  const checkSuspicious = (obj) => {
+  // Markdown bodies are checked without their code: a code sample may
+  // legitimately show `javascript:` or `onerror=`
+  const checkSuspicious = (obj, markdownFields = []) => {
     for (const key in obj) {
       if (typeof obj[key] === 'string') {
+        const text = markdownFields.includes(key) ? markdown.stripCode(obj[key]) : obj[key];
         for (const pattern of suspicious) {
-          if (pattern.test(obj[key])) {
+          if (pattern.test(text)) {
             return true;
           }
         }
@@ -280,7 +443,10 @@ const suspiciousActivityDetector = (req, res, next) => {
     return false;
   };
 
-  if (checkSuspicious(req.body) || checkSuspicious(req.query)) {
+  if (checkSuspicious(req.body, RAW_BODY_FIELDS) || checkSuspicious(req.query)) {
+    // Later proof-of-work challenges for this requester get harder
+    proofOfWork.reportSuspicious(req.ip);
+
     logger.error('Suspicious activity detected:', {
       ip: req.ip,
       userAgent: req.get('User-Agent'),
@@ -303,9 +469,16 @@ module.exports = {
   validateRequest,
   postValidationRules,
   commentValidationRules,
+  privatePostValidationRules,
+  privateCommentValidationRules,
+  privacyAwareValidation,
+  searchValidationRules,
+  flagValidationRules,
   createIPRateLimiter,
   contentFilter,
+  requireProofOfWork,
   securityHeaders,
+  requireAdmin,
   requestSizeLimiter,
   suspiciousActivityDetector
 };
\ No newline at end of file
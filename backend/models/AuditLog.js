@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // What the moderator did
+  action: {
+    type: String,
+    required: true,
+    enum: ['approve', 'restore', 'remove']
+  },
+
+  // What it was done to
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['post', 'comment']
+  },
+
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+
+  // Fingerprint of the admin token used (never the token itself)
+  actor: {
+    type: String,
+    required: true
+  },
+
+  note: {
+    type: String,
+    maxlength: 500,
+    trim: true
+  },
+
+  // Snapshot of moderation state before the action
+  previous: {
+    isFlagged: Boolean,
+    isDeleted: Boolean,
+    flagCount: Number,
+    flagWeight: Number
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  versionKey: false
+});
+
+// Append-only: entries can be created and read, never changed or removed
+const rejectMutation = function(next) {
+  next(new Error('Audit log is append-only'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectMutation);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const encryption = require('../middleware/encryption');
+
+// Maximum nesting level for replies (top-level comments are depth 0)
+const MAX_DEPTH = 5;
 
 const commentSchema = new mongoose.Schema({
   // Reference to parent post
@@ -10,17 +14,51 @@ const commentSchema = new mongoose.Schema({
     index: true
   },
   
-  // Anonymous identifier
+  // Threading: direct parent and top-level ancestor (null for top-level comments)
+  parentCommentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  
+  rootCommentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_DEPTH
+  },
+  
+  // Anonymous identifier (stable per thread, see utils/anonymizer)
   anonId: {
     type: String,
     required: true
   },
   
-  // Comment content (encrypted)
+  // Whether the commenter is the author of the parent post
+  isOP: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Comment content: AES-256-GCM envelope, see middleware/encryption (length
+  // is validated on the plaintext by express-validator before encryption)
   content: {
-    type: String,
-    required: true,
-    maxlength: 2000
+    ciphertext: { type: String, required: true },
+    iv: { type: String, required: true },
+    authTag: { type: String, required: true },
+    keyId: { type: String, required: true }
+  },
+  
+  // Set by the encryption migration for records that cannot be recovered
+  legacyContent: {
+    type: Boolean,
+    default: false
   },
   
   // Security & Privacy
@@ -35,6 +73,11 @@ const commentSchema = new mongoose.Schema({
     maxlength: 500
   },
   
+  // SHA-256 of the author's control token (lets the author delete it)
+  controlTokenHash: {
+    type: String
+  },
+  
   // Timestamps
   createdAt: {
     type: Date,
@@ -68,6 +111,28 @@ const commentSchema = new mongoose.Schema({
   flagCount: {
     type: Number,
     default: 0
+  },
+  
+  // Sum of flag weights by reason (see config/moderation)
+  flagWeight: {
+    type: Number,
+    default: 0
+  },
+  
+  // Content filter rules that held this for review (see utils/contentRules)
+  filterMatches: {
+    type: [String],
+    default: undefined
+  },
+  
+  // Last moderator decision (see routes/admin)
+  moderationStatus: {
+    type: String,
+    enum: ['approved', 'removed']
+  },
+  
+  moderatedAt: {
+    type: Date
   }
 }, {
   timestamps: true,
@@ -76,6 +141,8 @@ const commentSchema = new mongoose.Schema({
 
 // Indexes
 commentSchema.index({ postId: 1, createdAt: 1 });
+commentSchema.index({ postId: 1, parentCommentId: 1, createdAt: 1 });
+commentSchema.index({ rootCommentId: 1, createdAt: 1 });
 commentSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 commentSchema.index({ isDeleted: 1, createdAt: -1 });
 
@@ -93,42 +160,50 @@ commentSchema.statics.hashIP = function(ip) {
 };
 
 commentSchema.statics.encryptContent = function(content) {
-  const algorithm = 'aes-256-gcm';
-  const key = Buffer.from(process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex'), 'hex');
-  const iv = crypto.randomBytes(16);
-  
-  const cipher = crypto.createCipher(algorithm, key);
-  cipher.setAAD(Buffer.from('anonforum', 'utf8'));
-  
-  let encrypted = cipher.update(content, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
+  return encryption.encrypt(content);
+};
+
+commentSchema.statics.decryptContent = function(encryptedData) {
+  return encryption.decrypt(encryptedData);
+};
+
+// Resolve threading fields for a reply to `parent`. Replies to a comment at the
+// depth cap become siblings of it so the tree never grows deeper than MAX_DEPTH.
+commentSchema.statics.threadFieldsFor = function(parent) {
+  if (!parent) {
+    return { parentCommentId: null, rootCommentId: null, depth: 0 };
+  }
   
-  const authTag = cipher.getAuthTag();
+  const atCap = parent.depth >= MAX_DEPTH;
   
   return {
-    content: encrypted,
-    iv: iv.toString('hex'),
-    authTag: authTag.toString('hex')
+    parentCommentId: atCap ? parent.parentCommentId : parent._id,
+    rootCommentId: parent.rootCommentId || parent._id,
+    depth: atCap ? parent.depth : parent.depth + 1
   };
 };
 
-commentSchema.statics.decryptContent = function(encryptedData) {
-  try {
-    const algorithm = 'aes-256-gcm';
-    const key = Buffer.from(process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex'), 'hex');
-    
-    const decipher = crypto.createDecipher(algorithm, key);
-    decipher.setAAD(Buffer.from('anonforum', 'utf8'));
-    decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-    
-    let decrypted = decipher.update(encryptedData.content, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
-  } catch (error) {
-    console.error('Decryption failed:', error);
-    return '[Content could not be decrypted]';
-  }
+// Turn a flat, chronologically sorted list of comments into a tree.
+// Replies whose parent is not in the list (deleted, flagged) are promoted
+// to the top level so they stay visible.
+commentSchema.statics.buildTree = function(comments) {
+  const byId = new Map();
+  const roots = [];
+  
+  comments.forEach(comment => {
+    byId.set(String(comment._id), { ...comment, replies: [] });
+  });
+  
+  byId.forEach(node => {
+    const parent = node.parentCommentId && byId.get(String(node.parentCommentId));
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  
+  return roots;
 };
 
 // Instance methods
@@ -138,16 +213,28 @@ commentSchema.methods.softDelete = function() {
   return this.save();
 };
 
-commentSchema.methods.flag = function() {
+commentSchema.methods.flag = function(weight, threshold) {
   this.flagCount += 1;
-  if (this.flagCount >= 3) { // Lower threshold for comments
+  this.flagWeight += weight;
+  if (this.flagWeight >= threshold) {
     this.isFlagged = true;
   }
   return this.save();
 };
 
 // Pre-save middleware
+// Comments count towards their post's commentCount while they are shown:
+// held ones are only counted once a moderator approves them
+const isListed = (comment) => !comment.isDeleted && !comment.isFlagged;
+
+commentSchema.post('init', function() {
+  this.$locals.wasListed = isListed(this);
+});
+
 commentSchema.pre('save', function(next) {
+  // How this save changes the parent post's comment count (applied once saved)
+  this.$locals.countDelta = Number(isListed(this)) - Number(!this.isNew && this.$locals.wasListed === true);
+  
   // Generate anonymous ID if not set
   if (!this.anonId) {
     this.anonId = this.constructor.generateAnonId();
@@ -171,26 +258,21 @@ commentSchema.pre('save', function(next) {
 
 // Post-save middleware to update parent post comment count
 commentSchema.post('save', function() {
+  const delta = this.$locals.countDelta;
+  this.$locals.wasListed = isListed(this);
+  if (!delta) return;
+  
   const Post = mongoose.model('Post');
-  Post.findById(this.postId)
-    .then(post => {
-      if (post && !this.isDeleted) {
-        post.incrementComments();
-      }
-    })
+  return (delta > 0 ? Post.incrementComments(this.postId) : Post.decrementComments(this.postId))
     .catch(console.error);
 });
 
 // Post-remove middleware to update parent post comment count
 commentSchema.post('remove', function() {
+  if (!this.$locals.wasListed) return;
+  
   const Post = mongoose.model('Post');
-  Post.findById(this.postId)
-    .then(post => {
-      if (post) {
-        post.decrementComments();
-      }
-    })
-    .catch(console.error);
+  return Post.decrementComments(this.postId).catch(console.error);
 });
 
 // Transform output
@@ -199,6 +281,8 @@ commentSchema.set('toJSON', {
     // Remove sensitive data
     delete ret.ipHash;
     delete ret.userAgent;
+    delete ret.controlTokenHash;
+    delete ret.filterMatches;
     delete ret.__v;
     
     return ret;
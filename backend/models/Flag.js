@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const moderation = require('../config/moderation');
+const anonymizer = require('../utils/anonymizer');
+
+const flagSchema = new mongoose.Schema({
+  // What was reported
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['post', 'comment']
+  },
+
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // Post the target belongs to (the post itself for post flags)
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+    index: true
+  },
+
+  // Reporter identity hashed per target (see utils/anonymizer)
+  reporterHash: {
+    type: String,
+    required: true
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    enum: moderation.FLAG_REASONS
+  },
+
+  // Weight this flag counted for when it was recorded
+  weight: {
+    type: Number,
+    required: true
+  },
+
+  // Auto-deletion together with the post
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// One flag per reporter per target
+flagSchema.index({ targetType: 1, targetId: 1, reporterHash: 1 }, { unique: true });
+flagSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Record a flag on `target` (a post or comment of `post`) and update its flag
+// weight. Returns false if this reporter has already flagged the target.
+flagSchema.statics.record = async function({ targetType, target, post, reason, ipHash }) {
+  const weight = moderation.weightFor(reason, post.category);
+
+  try {
+    await this.create({
+      targetType,
+      targetId: target._id,
+      postId: post._id,
+      reporterHash: anonymizer.reporterHash(target._id, ipHash),
+      reason,
+      weight,
+      expiresAt: post.expiresAt
+    });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await target.flag(weight, moderation.thresholdFor(targetType, post.category));
+  return true;
+};
+
+module.exports = mongoose.model('Flag', flagSchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const images = require('../config/images');
+const anonymizer = require('../utils/anonymizer');
+
+// An uploaded image file (see utils/imageStore). One record per distinct
+// file, shared by every post that attaches it.
+const imageSchema = new mongoose.Schema({
+  // SHA-256 of the stored file, also its file name
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^[0-9a-f]{64}$/
+  },
+
+  width: {
+    type: Number,
+    required: true
+  },
+
+  height: {
+    type: Number,
+    required: true
+  },
+
+  size: {
+    type: Number,
+    required: true
+  },
+
+  // Posts using this image; empty while the upload is pending
+  postIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+
+  // Unused upload receipts (hashed tokens returned by POST /api/images). Each
+  // lets one post attach the image until it expires, so knowing the hash of
+  // an image someone else posted is not enough to keep it alive.
+  uploads: [{
+    _id: false,
+    tokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true }
+  }],
+
+  // Latest expiry of the posts using it (PENDING_TTL_MS after upload until
+  // attached). The cleanup job deletes the file and record after this; there
+  // is no TTL index because the file has to go too.
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+imageSchema.index({ postIds: 1 });
+
+// Receipts kept per image; older ones are dropped first
+const MAX_UPLOAD_RECEIPTS = 50;
+
+// Record a freshly stored file and a receipt for this upload. Uploading a
+// file that already exists keeps the one record and only extends its expiry
+// if needed.
+imageSchema.statics.register = async function({ hash, width, height, size }, tokenHash) {
+  const expiresAt = new Date(Date.now() + images.PENDING_TTL_MS);
+  const update = {
+    $setOnInsert: { width, height, size, postIds: [] },
+    $push: { uploads: { $each: [{ tokenHash, expiresAt }], $slice: -MAX_UPLOAD_RECEIPTS } },
+    $max: { expiresAt }
+  };
+
+  try {
+    return await this.findOneAndUpdate({ hash }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two identical uploads raced on the upsert; the other one created it
+    if (error.code !== 11000) throw error;
+    return this.findOneAndUpdate({ hash }, update, { new: true });
+  }
+};
+
+// Query for an image with an unused, unexpired receipt for `token`
+const receiptQuery = ({ id, token }, now) => ({
+  hash: id,
+  expiresAt: { $gt: now },
+  uploads: { $elemMatch: { tokenHash: anonymizer.hashControlToken(token), expiresAt: { $gt: now } } }
+});
+
+// True if every { id, token } names a stored image uploaded with that token
+// and not attached since
+imageSchema.statics.areAvailable = async function(uploads) {
+  if (uploads.length === 0) return true;
+
+  const now = new Date();
+  const found = await this.countDocuments({ $or: uploads.map(upload => receiptQuery(upload, now)) });
+  return found === new Set(uploads.map(upload => upload.id)).size;
+};
+
+// Attach uploaded images to a saved post, using up their receipts; they now
+// live at least as long as the post does
+imageSchema.statics.attach = async function(uploads, post) {
+  if (uploads.length === 0) return;
+
+  const now = new Date();
+  await this.bulkWrite(uploads.map(upload => ({
+    updateOne: {
+      filter: receiptQuery(upload, now),
+      update: {
+        $pull: { uploads: { tokenHash: anonymizer.hashControlToken(upload.token) } },
+        $addToSet: { postIds: post._id },
+        $max: { expiresAt: post.expiresAt }
+      }
+    }
+  })));
+};
+
+// Detach images from posts that are gone for good. Images no longer used by
+// any post expire after `graceMs` (immediately by default). Returns how many
+// images were detached.
+imageSchema.statics.release = async function(postIds, { graceMs = 0 } = {}) {
+  const ids = [].concat(postIds);
+  const affected = await this.find({ postIds: { $in: ids } }).distinct('_id');
+  if (affected.length === 0) return 0;
+
+  await this.updateMany(
+    { _id: { $in: affected } },
+    { $pull: { postIds: { $in: ids } } }
+  );
+  await this.updateMany(
+    { _id: { $in: affected }, postIds: { $size: 0 } },
+    { $set: { expiresAt: new Date(Date.now() + graceMs) } }
+  );
+  return affected.length;
+};
+
+module.exports = mongoose.model('Image', imageSchema);
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const encryption = require('../middleware/encryption');
+const liveEvents = require('../utils/liveEvents');
+const lifetime = require('../config/lifetime');
+const { MAX_IMAGES_PER_POST } = require('../config/images');
+
+// Ranking: log10(engagement) plus a bonus that grows with creation time, so a
+// newer post needs 10x less engagement per HOT_DECAY_SECONDS of age difference.
+// The score only depends on createdAt, never on "now", so it can be stored and
+// indexed and only changes when likes or comments do.
+const RANKING_EPOCH = Date.UTC(2024, 0, 1) / 1000;
+const HOT_DECAY_SECONDS = 45000; // ~12.5 hours
+const RISING_DECAY_SECONDS = 12600; // ~3.5 hours, favours very recent activity
 
 const postSchema = new mongoose.Schema({
   // Anonymous identifier (not tied to user)
@@ -10,17 +22,39 @@ const postSchema = new mongoose.Schema({
   },
   
   // Post content (encrypted)
+  // Plaintext, or end-to-end ciphertext for private threads (which is longer)
   title: {
     type: String,
     required: true,
-    maxlength: 200,
-    trim: true
+    trim: true,
+    validate: {
+      validator: function(value) {
+        return value.length <= (this.isPrivate ? 1200 : 200);
+      },
+      message: 'Title is too long'
+    }
+  },
+  
+  // Private thread: title, content and comments are encrypted in the browser
+  // with a key that only travels in the URL fragment (see frontend/js/encryption.js)
+  isPrivate: {
+    type: Boolean,
+    default: false
   },
   
+  // AES-256-GCM envelope, see middleware/encryption (length is validated
+  // on the plaintext by express-validator before encryption)
   content: {
-    type: String,
-    required: true,
-    maxlength: 5000
+    ciphertext: { type: String, required: true },
+    iv: { type: String, required: true },
+    authTag: { type: String, required: true },
+    keyId: { type: String, required: true }
+  },
+  
+  // Set by the encryption migration for records that cannot be recovered
+  legacyContent: {
+    type: Boolean,
+    default: false
   },
   
   // Metadata
@@ -37,19 +71,59 @@ const postSchema = new mongoose.Schema({
     trim: true
   }],
   
-  // Engagement
+  // Attached images: content hashes of Image records (see utils/imageStore)
+  images: {
+    type: [{ type: String, match: /^[0-9a-f]{64}$/ }],
+    validate: {
+      validator: function(value) {
+        return value.length <= MAX_IMAGES_PER_POST && !(this.isPrivate && value.length > 0);
+      },
+      message: `At most ${MAX_IMAGES_PER_POST} images, and none on private threads`
+    }
+  },
+  
+  // Blind search index: HMAC of each normalized word (see utils/searchIndex)
+  searchTokens: {
+    type: [String],
+    select: false
+  },
+  
+  // Engagement (vote counts are maintained from Vote records)
   likes: {
     type: Number,
     default: 0,
     min: 0
   },
   
+  downvotes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // likes - downvotes
+  score: {
+    type: Number,
+    default: 0
+  },
+  
   commentCount: {
     type: Number,
     default: 0,
     min: 0
   },
   
+  // Precomputed ranking scores for sort=hot / sort=rising
+  hotScore: {
+    type: Number,
+    default: 0
+  },
+  
+  risingScore: {
+    type: Number,
+    default: 0
+  },
+  
   // Security & Privacy
   ipHash: {
     type: String,
@@ -62,6 +136,11 @@ const postSchema = new mongoose.Schema({
     maxlength: 500
   },
   
+  // SHA-256 of the author's control token (lets the author delete it)
+  controlTokenHash: {
+    type: String
+  },
+  
   // Auto-deletion
   createdAt: {
     type: Date,
@@ -75,6 +154,18 @@ const postSchema = new mongoose.Schema({
     index: true
   },
   
+  // Burn after reading: the post is deleted once it has been opened this many times
+  burnAfterViews: {
+    type: Number,
+    min: 1,
+    max: lifetime.MAX_BURN_VIEWS
+  },
+  
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  
   // Status
   isDeleted: {
     type: Boolean,
@@ -94,6 +185,28 @@ const postSchema = new mongoose.Schema({
   flagCount: {
     type: Number,
     default: 0
+  },
+  
+  // Sum of flag weights by reason (see config/moderation)
+  flagWeight: {
+    type: Number,
+    default: 0
+  },
+  
+  // Content filter rules that held this for review (see utils/contentRules)
+  filterMatches: {
+    type: [String],
+    default: undefined
+  },
+  
+  // Last moderator decision (see routes/admin)
+  moderationStatus: {
+    type: String,
+    enum: ['approved', 'removed']
+  },
+  
+  moderatedAt: {
+    type: Date
   }
 }, {
   timestamps: true,
@@ -105,6 +218,11 @@ postSchema.index({ createdAt: -1 });
 postSchema.index({ category: 1, createdAt: -1 });
 postSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 postSchema.index({ isDeleted: 1, createdAt: -1 });
+postSchema.index({ hotScore: -1, _id: -1 });
+postSchema.index({ category: 1, hotScore: -1 });
+postSchema.index({ risingScore: -1, _id: -1 });
+postSchema.index({ category: 1, risingScore: -1 });
+postSchema.index({ searchTokens: 1 });
 
 // Static methods
 postSchema.statics.generateAnonId = function() {
@@ -121,71 +239,80 @@ postSchema.statics.hashIP = function(ip) {
 };
 
 postSchema.statics.encryptContent = function(content) {
-  const algorithm = 'aes-256-gcm';
-  const key = Buffer.from(process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex'), 'hex');
-  const iv = crypto.randomBytes(16);
-  
-  const cipher = crypto.createCipher(algorithm, key);
-  cipher.setAAD(Buffer.from('anonforum', 'utf8'));
-  
-  let encrypted = cipher.update(content, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  
-  const authTag = cipher.getAuthTag();
+  return encryption.encrypt(content);
+};
+
+postSchema.statics.decryptContent = function(encryptedData) {
+  return encryption.decrypt(encryptedData);
+};
+
+postSchema.statics.rankingScores = function({ likes = 0, downvotes = 0, commentCount = 0, createdAt }) {
+  const engagement = likes - downvotes + 2 * commentCount;
+  const order = Math.log10(Math.max(engagement, 1));
+  const seconds = new Date(createdAt || Date.now()).getTime() / 1000 - RANKING_EPOCH;
   
   return {
-    content: encrypted,
-    iv: iv.toString('hex'),
-    authTag: authTag.toString('hex')
+    hotScore: order + seconds / HOT_DECAY_SECONDS,
+    risingScore: order + seconds / RISING_DECAY_SECONDS
   };
 };
 
-postSchema.statics.decryptContent = function(encryptedData) {
-  try {
-    const algorithm = 'aes-256-gcm';
-    const key = Buffer.from(process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex'), 'hex');
-    
-    const decipher = crypto.createDecipher(algorithm, key);
-    decipher.setAAD(Buffer.from('anonforum', 'utf8'));
-    decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-    
-    let decrypted = decipher.update(encryptedData.content, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
-  } catch (error) {
-    console.error('Decryption failed:', error);
-    return '[Content could not be decrypted]';
+// Apply a change of one voter's vote (previous/next are 1, -1 or 0 for none)
+// atomically to the counters, then refresh the ranking scores
+postSchema.statics.applyVoteChange = async function(postId, previous, next) {
+  const likes = Number(next === 1) - Number(previous === 1);
+  const downvotes = Number(next === -1) - Number(previous === -1);
+  
+  const post = await this.findByIdAndUpdate(
+    postId,
+    { $inc: { likes, downvotes, score: likes - downvotes } },
+    { new: true }
+  );
+  
+  if (post) {
+    await this.updateOne({ _id: postId }, { $set: this.rankingScores(post) });
+    liveEvents.publishCounts(post);
   }
+  
+  return post;
 };
 
-// Instance methods
-postSchema.methods.incrementLikes = function() {
-  this.likes += 1;
-  return this.save();
+// Comment count changes are applied atomically like votes, so concurrent
+// comments are never lost (the count never goes below zero)
+postSchema.statics.adjustCommentCount = async function(postId, delta) {
+  const post = await this.findOneAndUpdate(
+    delta < 0 ? { _id: postId, commentCount: { $gte: -delta } } : { _id: postId },
+    { $inc: { commentCount: delta } },
+    { new: true }
+  );
+  
+  if (post) {
+    await this.updateOne({ _id: postId }, { $set: this.rankingScores(post) });
+    liveEvents.publishCounts(post);
+  }
+  
+  return post;
 };
 
-postSchema.methods.incrementComments = function() {
-  this.commentCount += 1;
-  return this.save();
+postSchema.statics.incrementComments = function(postId) {
+  return this.adjustCommentCount(postId, 1);
 };
 
-postSchema.methods.decrementComments = function() {
-  if (this.commentCount > 0) {
-    this.commentCount -= 1;
-  }
-  return this.save();
+postSchema.statics.decrementComments = function(postId) {
+  return this.adjustCommentCount(postId, -1);
 };
 
+// Instance methods
 postSchema.methods.softDelete = function() {
   this.isDeleted = true;
   this.deletedAt = new Date();
   return this.save();
 };
 
-postSchema.methods.flag = function() {
+postSchema.methods.flag = function(weight, threshold) {
   this.flagCount += 1;
-  if (this.flagCount >= 5) {
+  this.flagWeight += weight;
+  if (this.flagWeight >= threshold) {
     this.isFlagged = true;
   }
   return this.save();
@@ -193,10 +320,9 @@ postSchema.methods.flag = function() {
 
 // Pre-save middleware
 postSchema.pre('save', function(next) {
-  // Set expiration date if not set (7 days from creation)
+  // Set expiration date if not set (default lifetime for the category)
   if (!this.expiresAt) {
-    const sevenDays = 7 * 24 * 60 * 60 * 1000;
-    this.expiresAt = new Date(Date.now() + sevenDays);
+    this.expiresAt = new Date(Date.now() + lifetime.resolveLifetime(this.category));
   }
   
   // Generate anonymous ID if not set
@@ -204,9 +330,23 @@ postSchema.pre('save', function(next) {
     this.anonId = this.constructor.generateAnonId();
   }
   
+  // Keep ranking scores in step with likes and comments
+  if (this.isNew || this.isModified('score') || this.isModified('commentCount')) {
+    Object.assign(this, this.constructor.rankingScores(this));
+  }
+  
+  // Live clients are told about comment count changes once saved
+  this.$locals.countsChanged = !this.isNew && this.isModified('commentCount');
+  
   next();
 });
 
+postSchema.post('save', function() {
+  if (this.$locals.countsChanged) {
+    liveEvents.publishCounts(this);
+  }
+});
+
 // Virtual for time until expiration
 postSchema.virtual('timeUntilExpiry').get(function() {
   if (!this.expiresAt) return null;
@@ -230,6 +370,9 @@ postSchema.set('toJSON', {
     // Remove sensitive data
     delete ret.ipHash;
     delete ret.userAgent;
+    delete ret.controlTokenHash;
+    delete ret.filterMatches;
+    delete ret.searchTokens;
     delete ret.__v;
     
     // Add virtual fields
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const voteSchema = new mongoose.Schema({
+  // Post being voted on
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+
+  // Voter identity hashed per post (see utils/anonymizer), so votes on
+  // different posts cannot be linked to each other
+  voterHash: {
+    type: String,
+    required: true
+  },
+
+  // 1 = upvote, -1 = downvote
+  value: {
+    type: Number,
+    required: true,
+    enum: [1, -1]
+  },
+
+  // Auto-deletion together with the post
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// One vote per voter per post
+voteSchema.index({ postId: 1, voterHash: 1 }, { unique: true });
+voteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Vote', voteSchema);
@@ -0,0 +1,264 @@
+const express = require('express');
+const router = express.Router();
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const AuditLog = require('../models/AuditLog');
+const Flag = require('../models/Flag');
+const Image = require('../models/Image');
+const imageStore = require('../utils/imageStore');
+const logger = require('../utils/logger');
+const security = require('../middleware/security');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const MODELS = {
+  post: Post,
+  comment: Comment
+};
+
+// Which items each queue view shows
+const QUEUE_FILTERS = {
+  flagged: { isFlagged: true, isDeleted: false },
+  removed: { isDeleted: true, moderationStatus: 'removed' }
+};
+
+router.use(security.requireAdmin);
+
+// List the moderation queue: ?type=post|comment&status=flagged|removed
+router.get('/queue', async (req, res) => {
+  try {
+    const type = req.query.type === 'comment' ? 'comment' : 'post';
+    const status = req.query.status === 'removed' ? 'removed' : 'flagged';
+    const Model = MODELS[type];
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const skip = (page - 1) * limit;
+
+    const query = {
+      ...QUEUE_FILTERS[status],
+      expiresAt: { $gt: new Date() }
+    };
+
+    const items = await Model.find(query)
+      .sort({ flagWeight: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Model.countDocuments(query);
+
+    // Flag counts per reason for each listed item
+    const reasonCounts = await Flag.aggregate([
+      { $match: { targetType: type, targetId: { $in: items.map(item => item._id) } } },
+      { $group: { _id: { targetId: '$targetId', reason: '$reason' }, count: { $sum: 1 } } }
+    ]);
+    const flagReasons = new Map();
+    for (const { _id, count } of reasonCounts) {
+      const key = String(_id.targetId);
+      flagReasons.set(key, { ...flagReasons.get(key), [_id.reason]: count });
+    }
+
+    const decryptedItems = items.map(item => {
+      const result = {
+        ...item,
+        content: Model.decryptContent(item.content),
+        flagReasons: flagReasons.get(String(item._id)) || {}
+      };
+
+      // Moderators see content, never who wrote it
+      delete result.ipHash;
+      delete result.userAgent;
+      delete result.controlTokenHash;
+      delete result.searchTokens;
+      return result;
+    });
+
+    res.json({
+      type,
+      status,
+      items: decryptedItems,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      },
+      total
+    });
+
+  } catch (error) {
+    logger.error('Error fetching moderation queue:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation queue' });
+  }
+});
+
+// Images of held posts are not served by /api/images, so the queue loads
+// them here with the admin token
+router.get('/images/:hash', async (req, res) => {
+  try {
+    if (!imageStore.HASH_PATTERN.test(req.params.hash)) {
+      return res.status(400).json({ error: 'Invalid image id' });
+    }
+
+    const image = await Image.findOne({ hash: req.params.hash, expiresAt: { $gt: new Date() } }).lean();
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found or expired' });
+    }
+
+    res.set({
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.type('image/webp');
+    res.sendFile(imageStore.filePath(image.hash), (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Error sending image:', error);
+        res.status(404).json({ error: 'Image not found or expired' });
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching image:', error);
+    res.status(500).json({ error: 'Failed to fetch image' });
+  }
+});
+
+// Apply a moderation action and record it in the audit log
+const ACTIONS = {
+  // Flagged content is fine: show it again and reset its flags
+  approve: {
+    allowed: (item) => item.isFlagged && !item.isDeleted,
+    apply: (item) => {
+      item.isFlagged = false;
+      item.flagCount = 0;
+      item.flagWeight = 0;
+      item.moderationStatus = 'approved';
+    }
+  },
+
+  // Undo an earlier removal (until the cleanup job purges it)
+  restore: {
+    allowed: (item) => item.isDeleted && item.moderationStatus === 'removed',
+    apply: (item) => {
+      item.isDeleted = false;
+      item.deletedAt = undefined;
+      item.isFlagged = false;
+      item.flagCount = 0;
+      item.flagWeight = 0;
+      item.moderationStatus = 'approved';
+    }
+  },
+
+  // Take content down; it is purged after the cleanup grace period
+  remove: {
+    allowed: (item) => !item.isDeleted,
+    apply: (item) => {
+      item.isDeleted = true;
+      item.deletedAt = new Date();
+      item.moderationStatus = 'removed';
+    }
+  }
+};
+
+router.post('/:type/:id/:action', async (req, res) => {
+  try {
+    const { type, id, action } = req.params;
+    const Model = MODELS[type];
+    const handler = ACTIONS[action];
+
+    if (!Model || !handler) {
+      return res.status(404).json({ error: 'Endpoint not found' });
+    }
+
+    if (!OBJECT_ID_PATTERN.test(id)) {
+      return res.status(400).json({ error: `Invalid ${type} ID format` });
+    }
+
+    const item = await Model.findById(id);
+
+    if (!item) {
+      return res.status(404).json({ error: `${type === 'post' ? 'Post' : 'Comment'} not found` });
+    }
+
+    if (!handler.allowed(item)) {
+      return res.status(409).json({ error: `Cannot ${action} this ${type} in its current state` });
+    }
+
+    const previous = {
+      isFlagged: item.isFlagged,
+      isDeleted: item.isDeleted,
+      flagCount: item.flagCount,
+      flagWeight: item.flagWeight
+    };
+
+    handler.apply(item);
+    item.moderatedAt = new Date();
+    await item.save();
+
+    await AuditLog.create({
+      action,
+      targetType: type,
+      targetId: item._id,
+      actor: req.adminActor,
+      note: typeof req.body.note === 'string' ? req.body.note : undefined,
+      previous
+    });
+
+    logger.info('Moderation action:', {
+      action,
+      type,
+      id: item._id,
+      actor: req.adminActor
+    });
+
+    res.json({
+      message: `${type === 'post' ? 'Post' : 'Comment'} ${action}d`,
+      item: {
+        _id: item._id,
+        isFlagged: item.isFlagged,
+        isDeleted: item.isDeleted,
+        moderationStatus: item.moderationStatus
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error applying moderation action:', error);
+    res.status(500).json({ error: 'Failed to apply moderation action' });
+  }
+});
+
+// Read the audit log, newest first
+router.get('/audit', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const skip = (page - 1) * limit;
+
+    const entries = await AuditLog.find()
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await AuditLog.countDocuments();
+
+    res.json({
+      entries,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      },
+      total
+    });
+
+  } catch (error) {
+    logger.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+module.exports = router;
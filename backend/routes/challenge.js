@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const proofOfWork = require('../utils/proofOfWork');
+
+// Issue a proof-of-work challenge: ?purpose=post|comment|upload
+router.get('/', (req, res) => {
+  try {
+    const purpose = req.query.purpose;
+
+    if (!proofOfWork.PURPOSES.includes(purpose)) {
+      return res.status(400).json({ error: `Purpose must be one of: ${proofOfWork.PURPOSES.join(', ')}` });
+    }
+
+    if (!proofOfWork.isEnabled()) {
+      return res.json({ required: false });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      required: true,
+      ...proofOfWork.issueChallenge(purpose, req.ip)
+    });
+
+  } catch (error) {
+    logger.error('Error issuing challenge:', error);
+    res.status(500).json({ error: 'Failed to issue challenge' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Flag = require('../models/Flag');
+const logger = require('../utils/logger');
+const security = require('../middleware/security');
+const anonymizer = require('../utils/anonymizer');
+const liveEvents = require('../utils/liveEvents');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// Stored fields never sent to clients (see routes/posts.js)
+const PRIVATE_FIELDS = '-ipHash -userAgent -controlTokenHash -filterMatches';
+
+// Client IP as resolved from the 'trust proxy' setting (see server.js), never
+// the raw X-Forwarded-For header, which a reporter could rotate per flag
+const getClientIP = (req) => req.ip;
+
+// Find the parent post if it is still visible (not deleted, flagged or expired)
+const findActivePost = (postId) => {
+  return Post.findOne({
+    _id: postId,
+    isDeleted: false,
+    isFlagged: false,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Get comment threads for a post. Pagination applies to threads (a top-level
+// comment and every reply under it, keyed by rootCommentId); each page
+// includes the full reply tree of its threads. A thread whose top-level
+// comment is hidden or gone still counts, so its visible replies are listed
+// (buildTree promotes them to the top level), as GET /api/posts/:id does.
+router.get('/', async (req, res) => {
+  try {
+    const postId = req.params.postId;
+
+    if (!OBJECT_ID_PATTERN.test(postId)) {
+      return res.status(400).json({ error: 'Invalid post ID format' });
+    }
+
+    const post = await findActivePost(postId).lean();
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found or expired' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const skip = (page - 1) * limit;
+
+    const visible = {
+      postId,
+      isDeleted: false,
+      isFlagged: false,
+      expiresAt: { $gt: new Date() }
+    };
+
+    // Threads in order of their first visible comment
+    const [{ threads, total: counted }] = await Comment.aggregate([
+      { $match: { ...visible, postId: new mongoose.Types.ObjectId(postId) } },
+      { $group: { _id: { $ifNull: ['$rootCommentId', '$_id'] }, startedAt: { $min: '$createdAt' } } },
+      { $sort: { startedAt: 1, _id: 1 } },
+      {
+        $facet: {
+          threads: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+    const threadIds = threads.map(thread => thread._id);
+    const total = counted.length > 0 ? counted[0].count : 0;
+
+    const comments = await Comment.find({
+      ...visible,
+      $or: [{ _id: { $in: threadIds } }, { rootCommentId: { $in: threadIds } }]
+    })
+    .select(PRIVATE_FIELDS)
+    .sort({ createdAt: 1 })
+    .lean();
+
+    const decryptedComments = comments.map(comment => ({
+      ...comment,
+      content: Comment.decryptContent(comment.content)
+    }));
+
+    res.json({
+      comments: Comment.buildTree(decryptedComments),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      },
+      total
+    });
+
+  } catch (error) {
+    logger.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// Create new comment
+router.post('/', [
+  security.requestSizeLimiter,
+  security.suspiciousActivityDetector,
+  security.requireProofOfWork('comment'),
+  security.privacyAwareValidation(security.commentValidationRules(), security.privateCommentValidationRules()),
+  security.validateRequest,
+  security.contentFilter('comment')
+], async (req, res) => {
+  try {
+    const postId = req.params.postId;
+    const { content, parentCommentId } = req.body;
+
+    if (!OBJECT_ID_PATTERN.test(postId)) {
+      return res.status(400).json({ error: 'Invalid post ID format' });
+    }
+
+    const post = await findActivePost(postId);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found or expired' });
+    }
+
+    // Private threads take only encrypted comments, public ones only plaintext
+    if (post.isPrivate !== (req.body.isPrivate === true)) {
+      return res.status(400).json({
+        error: post.isPrivate
+          ? 'Comments on private threads must be end-to-end encrypted'
+          : 'Encrypted comments are only accepted on private threads'
+      });
+    }
+
+    let parent = null;
+    if (parentCommentId) {
+      parent = await Comment.findOne({
+        _id: parentCommentId,
+        postId: post._id,
+        isDeleted: false,
+        isFlagged: false
+      }).lean();
+
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+    }
+
+    const encryptedContent = Comment.encryptContent(content);
+    const ipHash = Comment.hashIP(getClientIP(req));
+    const controlToken = anonymizer.generateControlToken();
+
+    const newComment = new Comment({
+      postId: post._id,
+      ...Comment.threadFieldsFor(parent),
+      content: encryptedContent,
+      ipHash,
+      userAgent: req.get('User-Agent'),
+      anonId: anonymizer.threadPseudonym(post._id, ipHash),
+      isOP: ipHash === post.ipHash,
+      controlTokenHash: anonymizer.hashControlToken(controlToken),
+      expiresAt: post.expiresAt
+    });
+
+    // Borderline content is stored hidden until a moderator approves it
+    const heldForReview = req.contentFilter?.decision === 'review';
+    if (heldForReview) {
+      newComment.isFlagged = true;
+      newComment.filterMatches = req.contentFilter.matches;
+    }
+
+    const savedComment = await newComment.save();
+
+    logger.info('New comment created:', {
+      commentId: savedComment._id,
+      postId: post._id,
+      heldForReview,
+      ipHash: savedComment.ipHash.substring(0, 8) + '...'
+    });
+
+    // Return comment without sensitive data
+    const responseComment = savedComment.toJSON();
+    responseComment.content = content; // Return original content for immediate display
+
+    if (!heldForReview) {
+      liveEvents.publish('comment', { postId: String(post._id), comment: responseComment });
+    }
+
+    // The control token is only ever returned here; the client must keep it
+    res.status(201).json({
+      message: heldForReview ? 'Comment submitted and held for review' : 'Comment created successfully',
+      comment: responseComment,
+      heldForReview,
+      controlToken
+    });
+
+  } catch (error) {
+    logger.error('Error creating comment:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+});
+
+// Flag a comment for moderation
+router.post('/:commentId/flag', [
+  security.createIPRateLimiter(5 * 60 * 1000, 3, 'Too many flags, please wait'),
+  ...security.flagValidationRules(),
+  security.validateRequest
+], async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+
+    if (!OBJECT_ID_PATTERN.test(postId)) {
+      return res.status(400).json({ error: 'Invalid post ID format' });
+    }
+
+    if (!OBJECT_ID_PATTERN.test(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID format' });
+    }
+
+    const post = await findActivePost(postId).lean();
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found or expired' });
+    }
+
+    const comment = await Comment.findOne({
+      _id: commentId,
+      postId,
+      isDeleted: false,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found or expired' });
+    }
+
+    const recorded = await Flag.record({
+      targetType: 'comment',
+      target: comment,
+      post,
+      reason: req.body.reason,
+      ipHash: Comment.hashIP(getClientIP(req))
+    });
+
+    if (!recorded) {
+      return res.status(409).json({ error: 'You have already flagged this comment' });
+    }
+
+    logger.info('Comment flagged:', {
+      commentId: comment._id,
+      postId,
+      reason: req.body.reason,
+      flagCount: comment.flagCount,
+      isFlagged: comment.isFlagged
+    });
+
+    res.json({
+      message: 'Comment flagged for review',
+      flagged: comment.isFlagged
+    });
+
+  } catch (error) {
+    logger.error('Error flagging comment:', error);
+    res.status(500).json({ error: 'Failed to flag comment' });
+  }
+});
+
+// Delete own comment using the control token returned at creation
+router.delete('/:commentId', [
+  security.createIPRateLimiter(15 * 60 * 1000, 20, 'Too many delete requests, please wait')
+], async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+
+    if (!OBJECT_ID_PATTERN.test(postId)) {
+      return res.status(400).json({ error: 'Invalid post ID format' });
+    }
+
+    if (!OBJECT_ID_PATTERN.test(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID format' });
+    }
+
+    const post = await findActivePost(postId);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found or expired' });
+    }
+
+    const comment = await Comment.findOne({
+      _id: commentId,
+      postId,
+      isDeleted: false,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found or expired' });
+    }
+
+    if (!anonymizer.verifyControlToken(req.body.token, comment.controlTokenHash)) {
+      return res.status(403).json({ error: 'Invalid control token' });
+    }
+
+    await comment.softDelete();
+
+    logger.info('Comment deleted by author:', { commentId: comment._id, postId });
+
+    res.json({ message: 'Comment deleted successfully' });
+
+  } catch (error) {
+    logger.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+module.exports = router;
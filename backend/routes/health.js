@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const encryption = require('../middleware/encryption');
+const { version } = require('../package.json');
+
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// A hung MongoDB must fail the probe rather than leave it waiting
+const PING_TIMEOUT_MS = 2000;
+
+const formatBytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+
+// Ping MongoDB; resolves to the connection state and ping latency
+const checkDatabase = async () => {
+  const state = DB_STATES[mongoose.connection.readyState] || 'unknown';
+
+  if (mongoose.connection.readyState !== 1) {
+    return { status: state, ok: false };
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No reply within ${PING_TIMEOUT_MS}ms`)), PING_TIMEOUT_MS);
+  });
+
+  try {
+    const started = Date.now();
+    await Promise.race([mongoose.connection.db.admin().ping(), timeout]);
+    return { status: state, ok: true, latencyMs: Date.now() - started };
+  } catch (error) {
+    logger.warn('MongoDB ping failed:', error.message);
+    return { status: state, ok: false, error: 'Ping failed' };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const buildReport = (req, database) => {
+  const memory = process.memoryUsage();
+
+  return {
+    timestamp: new Date().toISOString(),
+    version: process.env.BUILD_VERSION || version,
+    uptime: Math.floor(process.uptime()),
+    memory: {
+      used: formatBytes(memory.heapUsed),
+      total: formatBytes(memory.heapTotal),
+      rss: formatBytes(memory.rss)
+    },
+    database,
+    cleanup: req.app.locals.lastCleanup || { status: 'never-run' },
+    encryption: {
+      configured: encryption.isKeyConfigured()
+    }
+  };
+};
+
+// Readiness: can this instance serve traffic? 503 while MongoDB is unavailable
+const readiness = async (req, res) => {
+  try {
+    const database = await checkDatabase();
+    const report = buildReport(req, database);
+
+    res.status(database.ok ? 200 : 503).json({
+      status: database.ok ? 'ready' : 'unavailable',
+      ...report
+    });
+
+  } catch (error) {
+    logger.error('Health check failed:', error);
+    res.status(503).json({ status: 'unavailable', error: 'Health check failed' });
+  }
+};
+
+// Liveness: the process is up and the event loop responds
+router.get('/live', (req, res) => {
+  res.json({
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptime: Math.floor(process.uptime())
+  });
+});
+
+router.get('/ready', readiness);
+
+// Backwards-compatible alias used by deploy scripts
+router.get('/', readiness);
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const Image = require('../models/Image');
+const Post = require('../models/Post');
+const logger = require('../utils/logger');
+const security = require('../middleware/security');
+const anonymizer = require('../utils/anonymizer');
+const imageStore = require('../utils/imageStore');
+const images = require('../config/images');
+
+const FILE_NAME_PATTERN = /^([0-9a-f]{64})\.webp$/;
+
+const uploadLimiter = security.createIPRateLimiter(60 * 60 * 1000, 20, 'Too many image uploads, please try again later');
+
+// Files are kept in memory only until they are re-encoded; the original bytes
+// (and their metadata) never touch the disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: images.MAX_UPLOAD_BYTES,
+    files: images.MAX_IMAGES_PER_POST,
+    parts: images.MAX_IMAGES_PER_POST,
+    fields: 0
+  },
+  fileFilter: (req, file, cb) => {
+    if (!images.ACCEPTED_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Images must be one of: ${images.ACCEPTED_TYPES.join(', ')}`);
+      error.status = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).array('images', images.MAX_IMAGES_PER_POST);
+
+// Run multer and answer its errors as JSON like the other validation errors
+const parseUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge
+          ? `Each image must be at most ${Math.floor(images.MAX_UPLOAD_BYTES / (1024 * 1024))} MB`
+          : `Upload between 1 and ${images.MAX_IMAGES_PER_POST} files in the "images" field`,
+        code: error.code
+      });
+    }
+
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    next(error);
+  });
+};
+
+// Upload 1-4 images for a post. Each one is re-encoded without metadata and
+// stored under its content hash. The returned ids, each with its one-time
+// token, go in the post's `images`. Images not attached to a post within
+// PENDING_TTL_MS are removed.
+router.post('/', [
+  uploadLimiter,
+  security.requireProofOfWork('upload'),
+  parseUpload
+], async (req, res) => {
+  try {
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No images uploaded' });
+    }
+
+    const processed = [];
+    for (const [index, file] of files.entries()) {
+      try {
+        processed.push(await imageStore.processImage(file.buffer));
+      } catch (error) {
+        logger.warn('Image rejected:', { error: error.message, ip: req.ip });
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: [{ field: 'images', message: `Image ${index + 1} is not a readable image or is too large` }]
+        });
+      }
+    }
+
+    const stored = new Map();
+    for (const image of processed) {
+      if (stored.has(image.hash)) continue;
+
+      const token = anonymizer.generateControlToken();
+      await imageStore.save(image.hash, image.buffer);
+      await Image.register(image, anonymizer.hashControlToken(token));
+      stored.set(image.hash, {
+        id: image.hash,
+        token,
+        url: imageStore.urlFor(image.hash),
+        width: image.width,
+        height: image.height
+      });
+    }
+
+    logger.info('Images uploaded:', { count: stored.size });
+
+    res.status(201).json({ images: [...stored.values()] });
+
+  } catch (error) {
+    logger.error('Error uploading images:', error);
+    res.status(500).json({ error: 'Failed to upload images' });
+  }
+});
+
+// Serve a stored image while it is pending or at least one post using it is
+// still visible: not deleted, held for review or expired (moderators load
+// images of held posts through /api/admin/images).
+// Responses are never cached longer than the image may live.
+router.get('/:name', async (req, res) => {
+  try {
+    const match = FILE_NAME_PATTERN.exec(req.params.name);
+
+    if (!match) {
+      return res.status(400).json({ error: 'Invalid image name' });
+    }
+
+    const now = new Date();
+    const image = await Image.findOne({ hash: match[1], expiresAt: { $gt: now } }).lean();
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found or expired' });
+    }
+
+    let expiresAt = image.expiresAt;
+
+    if (image.postIds.length > 0) {
+      const post = await Post.findOne({
+        _id: { $in: image.postIds },
+        isDeleted: false,
+        isFlagged: false,
+        expiresAt: { $gt: now }
+      }, { expiresAt: 1 }).sort({ expiresAt: -1 }).lean();
+
+      if (!post) {
+        return res.status(404).json({ error: 'Image not found or expired' });
+      }
+      expiresAt = post.expiresAt;
+    }
+
+    const maxAge = Math.max(0, Math.min(3600, Math.floor((expiresAt - now) / 1000)));
+
+    res.set({
+      'Cache-Control': `private, max-age=${maxAge}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.type('image/webp');
+    res.sendFile(imageStore.filePath(image.hash), (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Error sending image:', error);
+        res.status(404).json({ error: 'Image not found or expired' });
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching image:', error);
+    res.status(500).json({ error: 'Failed to fetch image' });
+  }
+});
+
+module.exports = router;
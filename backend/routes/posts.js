@@ -2,15 +2,121 @@ const express = require('express');
 const router = express.Router();
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+const Flag = require('../models/Flag');
+const Image = require('../models/Image');
 const logger = require('../utils/logger');
 const security = require('../middleware/security');
+const anonymizer = require('../utils/anonymizer');
+const searchIndex = require('../utils/searchIndex');
+const pagination = require('../utils/pagination');
+const liveEvents = require('../utils/liveEvents');
+const lifetime = require('../config/lifetime');
+const { BURN_GRACE_MS } = require('../config/images');
+
+// Stored fields never sent to clients: ipHash would link one author across
+// threads, the others are author secrets and moderation details
+const PRIVATE_FIELDS = '-ipHash -userAgent -controlTokenHash -filterMatches';
+
+const downvotesEnabled = () => process.env.ENABLE_DOWNVOTES === 'true';
+
+// Client IP as resolved by Express from the 'trust proxy' setting (see
+// server.js). X-Forwarded-For itself is client-controlled, so reading it
+// directly would let anyone pose as a new voter or reporter on every request.
+const getClientIP = (req) => req.ip;
+
+// Permanently delete a burn-after-reading post and its comments (votes and
+// flags are swept by the cleanup job). Its images expire after a short grace.
+const burnPost = async (postId) => {
+  await Post.deleteOne({ _id: postId });
+  await Comment.deleteMany({ postId });
+  await Image.release(postId, { graceMs: BURN_GRACE_MS });
+  
+  logger.info('Post burned after reading:', { postId });
+};
+
+// Map of postId -> the requesting voter's vote, so the UI can show what it liked
+const findMyVotes = async (posts, req) => {
+  if (posts.length === 0) return new Map();
+  
+  const ipHash = Post.hashIP(getClientIP(req));
+  const votes = await Vote.find({
+    postId: { $in: posts.map(post => post._id) },
+    voterHash: { $in: posts.map(post => anonymizer.voterHash(post._id, ipHash)) }
+  }, { postId: 1, value: 1 }).lean();
+  
+  return new Map(votes.map(vote => [String(vote.postId), vote.value]));
+};
+
+// Fetch one page of posts. With `cursor` set (even empty, for the first page)
+// the page is keyed on (sort field, _id) and no total is counted; otherwise
+// classic page numbers are used. Both modes return a nextCursor.
+const fetchPostPage = async (req, baseQuery, { sortBy, sortOrder, page, limit, cursor }) => {
+  const cursorMode = cursor !== undefined;
+  
+  // Private threads are only reachable through their link, never listed
+  const query = { ...baseQuery, isPrivate: { $ne: true } };
+  const findQuery = { ...query };
+  
+  if (cursorMode && cursor) {
+    const position = pagination.decodeCursor(cursor, sortBy, sortOrder);
+    if (!position) {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      throw error;
+    }
+    Object.assign(findQuery, pagination.afterCursor(position, sortBy, sortOrder));
+  }
+  
+  // Fetch one extra item to know whether another page exists
+  const posts = await Post.find(findQuery)
+    .select(PRIVATE_FIELDS)
+    .sort({ [sortBy]: sortOrder, _id: sortOrder })
+    .skip(cursorMode ? 0 : (page - 1) * limit)
+    .limit(limit + 1)
+    .lean();
+  
+  const hasNext = posts.length > limit;
+  const pagePosts = posts.slice(0, limit);
+  const nextCursor = hasNext
+    ? pagination.encodeCursor(pagePosts[pagePosts.length - 1], sortBy, sortOrder)
+    : null;
+  
+  const myVotes = await findMyVotes(pagePosts, req);
+  
+  // Burn-after-reading posts only reveal their body through GET /:id
+  const decryptedPosts = pagePosts.map(post => ({
+    ...post,
+    content: post.burnAfterViews ? null : Post.decryptContent(post.content),
+    images: post.burnAfterViews ? [] : post.images || [],
+    myVote: myVotes.get(String(post._id)) || 0
+  }));
+  
+  if (cursorMode) {
+    return { posts: decryptedPosts, nextCursor, hasNext, downvotesEnabled: downvotesEnabled() };
+  }
+  
+  const total = await Post.countDocuments(query);
+  
+  return {
+    posts: decryptedPosts,
+    pagination: {
+      current: page,
+      total: Math.ceil(total / limit),
+      hasNext,
+      hasPrev: page > 1
+    },
+    nextCursor,
+    downvotesEnabled: downvotesEnabled(),
+    total
+  };
+};
 
 // Get all posts with pagination and filtering
 router.get('/', async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
-    const skip = (page - 1) * limit;
     
     const category = req.query.category;
     const sortBy = req.query.sort || 'createdAt';
@@ -27,40 +133,79 @@ router.get('/', async (req, res) => {
       query.category = category;
     }
     
-    // Validate sort field
-    const allowedSortFields = ['createdAt', 'likes', 'commentCount'];
-    const finalSortBy = allowedSortFields.includes(sortBy) ? sortBy : 'createdAt';
+    // Validate sort field (hot/rising map to precomputed score fields)
+    const allowedSortFields = {
+      createdAt: 'createdAt',
+      likes: 'likes',
+      score: 'score',
+      commentCount: 'commentCount',
+      hot: 'hotScore',
+      rising: 'risingScore'
+    };
+    const finalSortBy = allowedSortFields[sortBy] || 'createdAt';
+    
+    const result = await fetchPostPage(req, query, {
+      sortBy: finalSortBy,
+      sortOrder,
+      page,
+      limit,
+      cursor: req.query.cursor
+    });
     
-    const posts = await Post.find(query)
-      .sort({ [finalSortBy]: sortOrder })
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    res.json(result);
+    
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error fetching posts:', error);
+    res.status(500).json({ error: 'Failed to fetch posts' });
+  }
+});
+
+// Search posts by title, tags and body. Content is encrypted at rest, so
+// matching runs against the HMAC blind index built when the post was created.
+router.get('/search', [
+  ...security.searchValidationRules(),
+  security.validateRequest
+], async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
     
-    const total = await Post.countDocuments(query);
+    const tokens = searchIndex.queryTokens(req.query.q);
     
-    // Decrypt content for response
-    const decryptedPosts = posts.map(post => ({
-      ...post,
-      content: Post.decryptContent(post.content),
-      totalPages: Math.ceil(total / limit),
-      currentPage: page
-    }));
+    if (tokens.length === 0) {
+      return res.status(400).json({ error: 'Search query has no searchable words' });
+    }
     
-    res.json({
-      posts: decryptedPosts,
-      pagination: {
-        current: page,
-        total: Math.ceil(total / limit),
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      },
-      total
+    const query = {
+      isDeleted: false,
+      isFlagged: false,
+      expiresAt: { $gt: new Date() },
+      searchTokens: { $all: tokens }
+    };
+    
+    if (req.query.category && req.query.category !== 'all') {
+      query.category = req.query.category;
+    }
+    
+    const result = await fetchPostPage(req, query, {
+      sortBy: 'createdAt',
+      sortOrder: -1,
+      page,
+      limit,
+      cursor: req.query.cursor
     });
     
+    res.json({ ...result, query: req.query.q });
+    
   } catch (error) {
-    logger.error('Error fetching posts:', error);
-    res.status(500).json({ error: 'Failed to fetch posts' });
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error searching posts:', error);
+    res.status(500).json({ error: 'Failed to search posts' });
   }
 });
 
@@ -74,32 +219,50 @@ router.get('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid post ID format' });
     }
     
-    const post = await Post.findOne({
+    let post = await Post.findOne({
       _id: postId,
       isDeleted: false,
       isFlagged: false,
       expiresAt: { $gt: new Date() }
-    }).lean();
+    }).select(PRIVATE_FIELDS).lean();
     
     if (!post) {
       return res.status(404).json({ error: 'Post not found or expired' });
     }
     
-    // Get comments for this post
+    // Burn after reading: claim one of the remaining views atomically, so
+    // concurrent readers cannot exceed the limit
+    if (post.burnAfterViews) {
+      post = await Post.findOneAndUpdate(
+        { _id: post._id, viewCount: { $lt: post.burnAfterViews } },
+        { $inc: { viewCount: 1 } },
+        { new: true }
+      ).select(PRIVATE_FIELDS).lean();
+      
+      if (!post) {
+        return res.status(404).json({ error: 'Post not found or expired' });
+      }
+    }
+    
+    // Get comments for this post (returned as a reply tree)
     const comments = await Comment.find({
       postId: postId,
       isDeleted: false,
       isFlagged: false,
       expiresAt: { $gt: new Date() }
     })
+    .select(PRIVATE_FIELDS)
     .sort({ createdAt: 1 })
     .limit(100)
     .lean();
     
+    const myVotes = await findMyVotes([post], req);
+    
     // Decrypt content
     const decryptedPost = {
       ...post,
-      content: Post.decryptContent(post.content)
+      content: Post.decryptContent(post.content),
+      myVote: myVotes.get(String(post._id)) || 0
     };
     
     const decryptedComments = comments.map(comment => ({
@@ -107,9 +270,15 @@ router.get('/:id', async (req, res) => {
       content: Comment.decryptContent(comment.content)
     }));
     
+    // The last allowed view burns the post and its thread
+    if (post.burnAfterViews && post.viewCount >= post.burnAfterViews) {
+      await burnPost(post._id);
+      decryptedPost.burned = true;
+    }
+    
     res.json({
       post: decryptedPost,
-      comments: decryptedComments
+      comments: Comment.buildTree(decryptedComments)
     });
     
   } catch (error) {
@@ -122,38 +291,72 @@ router.get('/:id', async (req, res) => {
 router.post('/', [
   security.requestSizeLimiter,
   security.suspiciousActivityDetector,
-  ...security.postValidationRules(),
+  security.requireProofOfWork('post'),
+  security.privacyAwareValidation(security.postValidationRules(), security.privatePostValidationRules()),
   security.validateRequest,
-  security.contentFilter
+  security.contentFilter('post')
 ], async (req, res) => {
   try {
-    const { title, content, category, tags } = req.body;
+    const { title, content, category, tags, burnAfterViews } = req.body;
+    const isPrivate = req.body.isPrivate === true;
+    const images = req.body.images || [];
+    
+    const lifetimeMs = lifetime.resolveLifetime(category, req.body.lifetime);
+    if (!lifetimeMs) {
+      return res.status(400).json({
+        error: 'Lifetime not allowed for this category',
+        allowed: lifetime.allowedLifetimes(category)
+      });
+    }
+    
+    if (!await Image.areAvailable(images)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'images', message: 'Unknown or expired image' }]
+      });
+    }
     
-    // Get client IP (considering proxy headers)
-    const clientIP = req.headers['x-forwarded-for'] || 
-                    req.headers['x-real-ip'] || 
-                    req.connection.remoteAddress || 
-                    req.socket.remoteAddress || 
-                    req.ip;
+    const clientIP = getClientIP(req);
     
     // Create encrypted content
     const encryptedContent = Post.encryptContent(content);
+    const ipHash = Post.hashIP(clientIP);
+    const controlToken = anonymizer.generateControlToken();
     
     const newPost = new Post({
       title,
       content: encryptedContent,
       category,
       tags: tags || [],
-      ipHash: Post.hashIP(clientIP),
+      images: images.map(image => image.id),
+      ipHash,
       userAgent: req.get('User-Agent'),
-      anonId: Post.generateAnonId()
+      controlTokenHash: anonymizer.hashControlToken(controlToken),
+      expiresAt: new Date(Date.now() + lifetimeMs),
+      burnAfterViews: burnAfterViews || undefined,
+      isPrivate,
+      // Burn-after-reading bodies stay out of the search index; private
+      // threads are not searchable at all
+      searchTokens: isPrivate ? [] : searchIndex.buildIndex({ title, content: burnAfterViews ? '' : content, tags })
     });
     
+    // Borderline content is stored hidden until a moderator approves it
+    const heldForReview = req.contentFilter?.decision === 'review';
+    if (heldForReview) {
+      newPost.isFlagged = true;
+      newPost.filterMatches = req.contentFilter.matches;
+    }
+    
+    // Pseudonym is scoped to this thread, so it needs the generated _id
+    newPost.anonId = anonymizer.threadPseudonym(newPost._id, ipHash);
+    
     const savedPost = await newPost.save();
+    await Image.attach(images, savedPost);
     
     logger.info('New post created:', {
       postId: savedPost._id,
       category: savedPost.category,
+      heldForReview,
       ipHash: savedPost.ipHash.substring(0, 8) + '...'
     });
     
@@ -161,9 +364,20 @@ router.post('/', [
     const responsePost = savedPost.toJSON();
     responsePost.content = content; // Return original content for immediate display
     
+    if (!heldForReview && !isPrivate) {
+      liveEvents.publish('post', {
+        ...responsePost,
+        content: savedPost.burnAfterViews ? null : content,
+        images: savedPost.burnAfterViews ? [] : responsePost.images
+      });
+    }
+    
+    // The control token is only ever returned here; the client must keep it
     res.status(201).json({
-      message: 'Post created successfully',
-      post: responsePost
+      message: heldForReview ? 'Post submitted and held for review' : 'Post created successfully',
+      post: responsePost,
+      heldForReview,
+      controlToken
     });
     
   } catch (error) {
@@ -180,17 +394,27 @@ router.post('/', [
   }
 });
 
-// Like a post
-router.post('/:id/like', [
-  security.createIPRateLimiter(60 * 1000, 10, 'Too many likes, please slow down')
-], async (req, res) => {
+const voteLimiter = security.createIPRateLimiter(60 * 1000, 10, 'Too many votes, please slow down');
+
+// Record one voter's vote (1, -1, or 0 to withdraw) and update the counters.
+// Votes are keyed on a per-post voter hash, so repeating a vote is a no-op.
+const voteHandler = (getValue) => async (req, res) => {
   try {
     const postId = req.params.id;
+    const value = getValue(req);
     
     if (!postId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({ error: 'Invalid post ID format' });
     }
     
+    if (![1, -1, 0].includes(value)) {
+      return res.status(400).json({ error: 'Vote value must be 1, -1 or 0' });
+    }
+    
+    if (value === -1 && !downvotesEnabled()) {
+      return res.status(400).json({ error: 'Downvotes are disabled' });
+    }
+    
     const post = await Post.findOne({
       _id: postId,
       isDeleted: false,
@@ -202,22 +426,50 @@ router.post('/:id/like', [
       return res.status(404).json({ error: 'Post not found or expired' });
     }
     
-    await post.incrementLikes();
+    const voterHash = anonymizer.voterHash(post._id, Post.hashIP(getClientIP(req)));
+    
+    const previous = value === 0
+      ? await Vote.findOneAndDelete({ postId: post._id, voterHash }).lean()
+      : await Vote.findOneAndUpdate(
+        { postId: post._id, voterHash },
+        { $set: { value, expiresAt: post.expiresAt } },
+        { upsert: true, new: false }
+      ).lean();
+    
+    const previousValue = previous ? previous.value : 0;
+    const updated = previousValue === value
+      ? post
+      : await Post.applyVoteChange(post._id, previousValue, value);
     
     res.json({
-      message: 'Post liked successfully',
-      likes: post.likes
+      message: 'Vote recorded',
+      likes: updated.likes,
+      downvotes: updated.downvotes,
+      score: updated.score,
+      myVote: value
     });
     
   } catch (error) {
-    logger.error('Error liking post:', error);
-    res.status(500).json({ error: 'Failed to like post' });
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Vote already being processed' });
+    }
+    logger.error('Error voting on post:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
   }
-});
+};
+
+// Vote on a post: { value: 1 | -1 | 0 }
+router.post('/:id/vote', [voteLimiter], voteHandler(req => Number(req.body.value)));
+
+// Like / unlike shortcuts
+router.post('/:id/like', [voteLimiter], voteHandler(() => 1));
+router.delete('/:id/like', [voteLimiter], voteHandler(() => 0));
 
 // Flag a post for moderation
 router.post('/:id/flag', [
-  security.createIPRateLimiter(5 * 60 * 1000, 3, 'Too many flags, please wait')
+  security.createIPRateLimiter(5 * 60 * 1000, 3, 'Too many flags, please wait'),
+  ...security.flagValidationRules(),
+  security.validateRequest
 ], async (req, res) => {
   try {
     const postId = req.params.id;
@@ -236,10 +488,21 @@ router.post('/:id/flag', [
       return res.status(404).json({ error: 'Post not found or expired' });
     }
     
-    await post.flag();
+    const recorded = await Flag.record({
+      targetType: 'post',
+      target: post,
+      post,
+      reason: req.body.reason,
+      ipHash: Post.hashIP(getClientIP(req))
+    });
+    
+    if (!recorded) {
+      return res.status(409).json({ error: 'You have already flagged this post' });
+    }
     
     logger.info('Post flagged:', {
       postId: post._id,
+      reason: req.body.reason,
       flagCount: post.flagCount,
       isFlagged: post.isFlagged
     });
@@ -255,13 +518,49 @@ router.post('/:id/flag', [
   }
 });
 
+// Delete own post using the control token returned at creation
+router.delete('/:id', [
+  security.createIPRateLimiter(15 * 60 * 1000, 20, 'Too many delete requests, please wait')
+], async (req, res) => {
+  try {
+    const postId = req.params.id;
+    
+    if (!postId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid post ID format' });
+    }
+    
+    const post = await Post.findOne({
+      _id: postId,
+      isDeleted: false,
+      expiresAt: { $gt: new Date() }
+    });
+    
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found or expired' });
+    }
+    
+    if (!anonymizer.verifyControlToken(req.body.token, post.controlTokenHash)) {
+      return res.status(403).json({ error: 'Invalid control token' });
+    }
+    
+    await post.softDelete();
+    
+    logger.info('Post deleted by author:', { postId: post._id });
+    
+    res.json({ message: 'Post deleted successfully' });
+    
+  } catch (error) {
+    logger.error('Error deleting post:', error);
+    res.status(500).json({ error: 'Failed to delete post' });
+  }
+});
+
 // Get posts by category
 router.get('/category/:category', async (req, res) => {
   try {
     const category = req.params.category;
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
-    const skip = (page - 1) * limit;
     
     const validCategories = ['general', 'tech', 'crypto', 'society', 'random', 'confession', 'question'];
     
@@ -269,42 +568,25 @@ router.get('/category/:category', async (req, res) => {
       return res.status(400).json({ error: 'Invalid category' });
     }
     
-    const posts = await Post.find({
-      category,
-      isDeleted: false,
-      isFlagged: false,
-      expiresAt: { $gt: new Date() }
-    })
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit)
-    .lean();
-    
-    const total = await Post.countDocuments({
+    const result = await fetchPostPage(req, {
       category,
       isDeleted: false,
       isFlagged: false,
       expiresAt: { $gt: new Date() }
+    }, {
+      sortBy: 'createdAt',
+      sortOrder: -1,
+      page,
+      limit,
+      cursor: req.query.cursor
     });
     
-    const decryptedPosts = posts.map(post => ({
-      ...post,
-      content: Post.decryptContent(post.content)
-    }));
-    
-    res.json({
-      posts: decryptedPosts,
-      pagination: {
-        current: page,
-        total: Math.ceil(total / limit),
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      },
-      category,
-      total
-    });
+    res.json({ ...result, category });
     
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error('Error fetching posts by category:', error);
     res.status(500).json({ error: 'Failed to fetch posts' });
   }
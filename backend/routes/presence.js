@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const security = require('../middleware/security');
+const presence = require('../utils/presence');
+
+const TOKEN_PATTERN = /^[0-9a-f]{32}$/;
+const CATEGORIES = ['all', 'general', 'tech', 'crypto', 'society', 'random', 'confession', 'question'];
+
+// Current approximate viewer counts
+// Heartbeats are frequent, so they are kept out of the global limiter
+const presenceLimiter = security.createIPRateLimiter(60 * 1000, 20, 'Too many heartbeats');
+
+router.get('/', [presenceLimiter], (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json({ ...presence.counts(), approximate: true });
+  } catch (error) {
+    logger.error('Error fetching presence:', error);
+    res.status(500).json({ error: 'Failed to fetch presence' });
+  }
+});
+
+// Heartbeat: { token, category }. The token is a random value the client
+// makes up per page load; it is hashed into the counter and then discarded.
+router.post('/', [presenceLimiter], (req, res) => {
+  try {
+    const { token } = req.body;
+    const category = req.body.category || 'all';
+
+    if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+      return res.status(400).json({ error: 'Token must be 32 lowercase hex characters' });
+    }
+
+    if (!CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: 'Invalid category' });
+    }
+
+    presence.heartbeat(token, category);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ ...presence.counts(), approximate: true });
+  } catch (error) {
+    logger.error('Error recording heartbeat:', error);
+    res.status(500).json({ error: 'Failed to record heartbeat' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const liveEvents = require('../utils/liveEvents');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const CATEGORIES = ['general', 'tech', 'crypto', 'society', 'random', 'confession', 'question'];
+const HEARTBEAT_MS = 25 * 1000;
+
+const maxClients = () => parseInt(process.env.SSE_MAX_CLIENTS) || 1000;
+let clientCount = 0;
+
+// Which events one client receives: new posts in its category, new comments
+// on the thread it has open, and counter changes for any listed post (or for
+// the open thread, if it is private)
+const wants = ({ category, postId }, { type, data, threadOnly }) => {
+  if (threadOnly && data.postId !== postId) return false;
+  
+  switch (type) {
+    case 'post':
+      return category === 'all' || data.category === category;
+    case 'comment':
+      return data.postId === postId;
+    case 'counts':
+      return true;
+    default:
+      return false;
+  }
+};
+
+// Server-Sent Events: ?category=all|<category>&postId=<open thread>
+router.get('/', (req, res) => {
+  const category = CATEGORIES.includes(req.query.category) ? req.query.category : 'all';
+  const postId = OBJECT_ID_PATTERN.test(req.query.postId || '') ? req.query.postId : null;
+
+  if (clientCount >= maxClients()) {
+    return res.status(503).json({ error: 'Too many live connections, please use polling' });
+  }
+
+  clientCount += 1;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // let nginx pass events straight through
+  });
+  res.flushHeaders();
+
+  // compression() buffers output; flush after every write
+  const send = (chunk) => {
+    res.write(chunk);
+    if (res.flush) res.flush();
+  };
+
+  send('retry: 5000\n\n');
+
+  const unsubscribe = liveEvents.subscribe((event) => {
+    if (!wants({ category, postId }, event)) return;
+
+    try {
+      send(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    } catch (error) {
+      logger.error('Error writing to event stream:', error);
+    }
+  });
+
+  const heartbeat = setInterval(() => send(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    clientCount -= 1;
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// Run the cleanup pass the hourly job runs (utils/cleanup) once, by hand.
+// With --dry-run nothing is deleted or corrected; the report shows what would be.
+//
+// Usage: node scripts/cleanup.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const cleanup = require('../utils/cleanup');
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/anonforum');
+
+  try {
+    const report = await cleanup.cleanupExpiredPosts({ dryRun });
+    console.log(JSON.stringify(report, null, 2));
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch((error) => {
+  console.error('Cleanup failed:', error.message);
+  process.exit(1);
+});
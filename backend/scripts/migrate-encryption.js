@@ -0,0 +1,59 @@
+// Migrate content written before the AES-256-GCM envelope format.
+//
+// Legacy records store `content` as a bare string. Strings that look like the
+// old hex ciphertext cannot be decrypted (no IV or auth tag was ever stored), so
+// they are flagged with `legacyContent: true`. Anything else is treated as
+// plaintext and re-encrypted in place.
+//
+// Usage: node scripts/migrate-encryption.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const encryption = require('../middleware/encryption');
+
+const LEGACY_CIPHERTEXT = /^(?:[0-9a-fA-F]{2})+$/;
+
+const migrateCollection = async (Model, dryRun) => {
+  const stats = { encrypted: 0, flagged: 0 };
+  const cursor = Model.collection.find({ content: { $type: 'string' } });
+
+  for await (const doc of cursor) {
+    const update = LEGACY_CIPHERTEXT.test(doc.content)
+      ? { legacyContent: true }
+      : { content: encryption.encrypt(doc.content), legacyContent: false };
+
+    if (update.legacyContent) {
+      stats.flagged += 1;
+    } else {
+      stats.encrypted += 1;
+    }
+
+    if (!dryRun) {
+      await Model.collection.updateOne({ _id: doc._id }, { $set: update });
+    }
+  }
+
+  return stats;
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  encryption.assertKeyConfigured();
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/anonforum');
+
+  try {
+    for (const Model of [Post, Comment]) {
+      const stats = await migrateCollection(Model, dryRun);
+      console.log(`${Model.modelName}: ${stats.encrypted} re-encrypted, ${stats.flagged} flagged as legacy${dryRun ? ' (dry run)' : ''}`);
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch((error) => {
+  console.error('Encryption migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+// Build the blind search index for posts created before search existed.
+// Run with --all after changing SEARCH_INDEX_KEY to rebuild every live post.
+//
+// Usage: node scripts/reindex-search.js [--all]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const encryption = require('../middleware/encryption');
+const searchIndex = require('../utils/searchIndex');
+
+const main = async () => {
+  const rebuildAll = process.argv.includes('--all');
+
+  encryption.assertKeyConfigured();
+  searchIndex.assertKeyConfigured();
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/anonforum');
+
+  const query = {
+    isDeleted: false,
+    expiresAt: { $gt: new Date() },
+    ...(rebuildAll ? {} : { searchTokens: { $exists: false } })
+  };
+
+  let indexed = 0;
+  try {
+    const cursor = Post.collection.find(query, {
+      projection: { title: 1, content: 1, tags: 1, isPrivate: 1, burnAfterViews: 1 }
+    });
+
+    for await (const doc of cursor) {
+      // Same rules as post creation: private threads are never indexed and
+      // burn-after-reading bodies are left out
+      const content = doc.isPrivate || doc.burnAfterViews ? '' : encryption.decrypt(doc.content);
+      const searchTokens = doc.isPrivate ? [] : searchIndex.buildIndex({
+        title: doc.title,
+        content: content === encryption.DECRYPTION_FAILED ? '' : content,
+        tags: doc.tags
+      });
+
+      await Post.collection.updateOne({ _id: doc._id }, { $set: { searchTokens } });
+      indexed += 1;
+    }
+
+    console.log(`Indexed ${indexed} post(s)`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch((error) => {
+  console.error('Search reindex failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+// Re-encrypt posts and comments under the newest key in the keyring. Soft-
+// deleted records are included: a moderator can restore them until the
+// cleanup job purges them, and they must still be readable then.
+//
+// Safe to run while the server is up: each record is only overwritten if it
+// still carries the key id it was read with. Interrupted runs can simply be
+// restarted (records already on the current key are skipped), or continued
+// from the last id printed with --after.
+//
+// Usage: node scripts/rotate-keys.js [--batch-size 200] [--after <id>] [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const encryption = require('../middleware/encryption');
+
+const getArg = (name, fallback) => {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const rotateCollection = async (Model, { batchSize, after, dryRun }) => {
+  const currentKeyId = encryption.getCurrentKeyId();
+  const query = {
+    expiresAt: { $gt: new Date() },
+    'content.keyId': { $exists: true, $ne: currentKeyId }
+  };
+
+  const total = await Model.countDocuments(query);
+  const stats = { rotated: 0, failed: 0, lastId: after };
+
+  console.log(`${Model.modelName}: ${total} record(s) to rotate to key ${currentKeyId}`);
+
+  for (;;) {
+    const batchQuery = stats.lastId
+      ? { ...query, _id: { $gt: new mongoose.Types.ObjectId(stats.lastId) } }
+      : query;
+
+    const batch = await Model.collection
+      .find(batchQuery, { projection: { content: 1 } })
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .toArray();
+
+    if (batch.length === 0) break;
+
+    for (const doc of batch) {
+      try {
+        const content = encryption.rotate(doc.content);
+
+        if (!dryRun) {
+          await Model.collection.updateOne(
+            { _id: doc._id, 'content.keyId': doc.content.keyId },
+            { $set: { content } }
+          );
+        }
+        stats.rotated += 1;
+      } catch (error) {
+        stats.failed += 1;
+        console.error(`  ${Model.modelName} ${doc._id}: ${error.message}`);
+      }
+    }
+
+    stats.lastId = String(batch[batch.length - 1]._id);
+    console.log(`  ${stats.rotated + stats.failed}/${total} processed (last id ${stats.lastId})`);
+  }
+
+  return stats;
+};
+
+const main = async () => {
+  const options = {
+    batchSize: Math.max(1, parseInt(getArg('--batch-size', '200'), 10) || 200),
+    after: getArg('--after', null),
+    dryRun: process.argv.includes('--dry-run')
+  };
+
+  encryption.assertKeyConfigured();
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/anonforum');
+
+  let failed = 0;
+  try {
+    for (const Model of [Post, Comment]) {
+      const stats = await rotateCollection(Model, options);
+      failed += stats.failed;
+      console.log(`${Model.modelName}: ${stats.rotated} rotated, ${stats.failed} failed${options.dryRun ? ' (dry run)' : ''}`);
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+
+  // Keep old keys in the keyring until this exits cleanly
+  process.exit(failed > 0 ? 2 : 0);
+};
+
+main().catch((error) => {
+  console.error('Key rotation failed:', error.message);
+  process.exit(1);
+});
@@ -5,21 +5,77 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
 const mongoose = require('mongoose');
+const path = require('path');
 const cron = require('node-cron');
 require('dotenv').config();
 
 const logger = require('./utils/logger');
 const securityMiddleware = require('./middleware/security');
+const encryption = require('./middleware/encryption');
 const cleanupService = require('./utils/cleanup');
+const contentRules = require('./utils/contentRules');
+const searchIndex = require('./utils/searchIndex');
+const anonymizer = require('./utils/anonymizer');
+const proofOfWork = require('./utils/proofOfWork');
 
 // Import routes
 const postsRoutes = require('./routes/posts');
 const commentsRoutes = require('./routes/comments');
 const healthRoutes = require('./routes/health');
+const adminRoutes = require('./routes/admin');
+const challengeRoutes = require('./routes/challenge');
+const streamRoutes = require('./routes/stream');
+const presenceRoutes = require('./routes/presence');
+const imagesRoutes = require('./routes/images');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Proxies whose X-Forwarded-For is believed when resolving req.ip, which keys
+// votes, flags and rate limits. TRUST_PROXY takes a hop count, true/false or
+// a list of addresses/subnets; the default trusts loopback and private
+// networks (e.g. the nginx container in docker-compose).
+const parseTrustProxy = (value) => {
+  if (!value) return 'loopback, uniquelocal';
+  if (/^\d+$/.test(value)) return parseInt(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// Refuse to start without a valid content encryption key and the secrets
+// that key the blind search index, pseudonyms and proof-of-work challenges
+try {
+  encryption.assertKeyConfigured();
+  searchIndex.assertKeyConfigured();
+  anonymizer.assertSecretConfigured();
+  proofOfWork.assertSecretConfigured();
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
+// Pick up keys added to ENCRYPTION_KEYRING_FILE without a restart (on change,
+// or on SIGHUP)
+encryption.watchKeyring();
+process.on('SIGHUP', () => {
+  try {
+    encryption.reloadKeyring();
+    logger.info('Encryption keyring reloaded:', { currentKeyId: encryption.getCurrentKeyId() });
+  } catch (error) {
+    logger.error('Keyring reload failed, keeping the previous keys:', error.message);
+  }
+});
+
+// Load the content filter rules; later edits to the file are picked up live
+try {
+  contentRules.loadRules();
+  contentRules.watch();
+} catch (error) {
+  logger.error('Invalid content rules:', error.message);
+  process.exit(1);
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -27,7 +83,7 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       styleSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
       scriptSrc: ["'self'", "https://cdnjs.cloudflare.com"],
-      imgSrc: ["'self'", "data:", "https:"],
+      imgSrc: ["'self'", "data:", "blob:", "https:"],
       connectSrc: ["'self'"],
       fontSrc: ["'self'", "https://cdnjs.cloudflare.com"],
       objectSrc: ["'none'"],
@@ -48,13 +104,15 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: false, // No cookies for anonymity
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Accept']
+  allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'X-PoW-Challenge', 'X-PoW-Nonce']
 }));
 
 // Compression
 app.use(compression());
 
 // Rate limiting
+const isImageDownload = (req) => req.method === 'GET' && req.originalUrl.startsWith('/api/images/');
+
 const globalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
@@ -64,8 +122,12 @@ const globalLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skip: (req) => {
-    // Skip rate limiting for health checks
-    return req.path === '/api/health';
+    // Skip rate limiting for health checks (/api/health, /live, /ready),
+    // presence heartbeats, which have their own limiter, and image downloads
+    // (a feed page can show dozens)
+    return req.originalUrl.startsWith('/api/health') ||
+           req.originalUrl.startsWith('/api/presence') ||
+           isImageDownload(req);
   }
 });
 
@@ -89,14 +151,16 @@ const commentLimiter = rateLimit({
 const speedLimiter = slowDown({
   windowMs: 15 * 60 * 1000, // 15 minutes
   delayAfter: 50, // allow 50 requests per windowMs without delay
-  delayMs: 500 // add 500ms delay per request after delayAfter
+  delayMs: 500, // add 500ms delay per request after delayAfter
+  skip: isImageDownload
 });
 
 app.use('/api', globalLimiter, speedLimiter);
 
 // Body parsing with size limits
+// (private threads send base64url ciphertext, which is larger than the text)
 app.use(express.json({ 
-  limit: '10kb',
+  limit: '32kb',
   strict: true
 }));
 app.use(express.urlencoded({ 
@@ -131,6 +195,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/anonforum
 app.use('/api/health', healthRoutes);
 app.use('/api/posts', postsRoutes);
 app.use('/api/posts/:postId/comments', commentLimiter, commentsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/challenge', challengeRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/presence', presenceRoutes);
+app.use('/api/images', imagesRoutes);
 
 // Apply post limiter specifically to POST requests
 app.use('/api/posts', (req, res, next) => {
@@ -178,10 +247,28 @@ app.use((req, res) => {
   });
 });
 
-// Cleanup job - run every hour
-cron.schedule('0 * * * *', () => {
+// Cleanup job - run every hour; the outcome is reported by /api/health
+cron.schedule('0 * * * *', async () => {
   logger.info('Running cleanup job...');
-  cleanupService.cleanupExpiredPosts();
+  const startedAt = new Date();
+
+  try {
+    const report = await cleanupService.cleanupExpiredPosts();
+    app.locals.lastCleanup = {
+      status: 'success',
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt,
+      report
+    };
+  } catch (error) {
+    logger.error('Cleanup job failed:', error);
+    app.locals.lastCleanup = {
+      status: 'failed',
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt,
+      error: error.message
+    };
+  }
 });
 
 // Graceful shutdown
@@ -0,0 +1,84 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/imageStore', () => ({ remove: jest.fn() }));
+
+const { mockQuery, objectId } = require('./helpers/routes');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+const Flag = require('../models/Flag');
+const Image = require('../models/Image');
+const cleanup = require('../utils/cleanup');
+
+const LIVE_POST = objectId(1);
+const GONE_POST = objectId(2);
+
+// find() answers `batches` in turn, then nothing
+const pages = (Model, ...batches) => {
+  const find = jest.spyOn(Model, 'find');
+  batches.forEach(batch => find.mockReturnValueOnce(mockQuery(batch)));
+  return find.mockReturnValue(mockQuery([]));
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  // Only LIVE_POST still exists
+  jest.spyOn(Post, 'find').mockImplementation((query) =>
+    mockQuery(query._id.$in.filter(id => String(id) === LIVE_POST))
+  );
+  [Comment, Vote, Flag, Image].forEach(Model => pages(Model));
+  [Comment, Vote, Flag].forEach(Model => {
+    jest.spyOn(Model, 'deleteMany').mockImplementation(async (query) => ({ deletedCount: query._id.$in.length }));
+    jest.spyOn(Model, 'countDocuments').mockImplementation(async (query) => query._id.$in.length);
+  });
+});
+
+describe('orphan sweep', () => {
+  test('pages through each collection and removes only orphans', async () => {
+    const find = pages(Comment,
+      [{ _id: objectId(10), postId: LIVE_POST }, { _id: objectId(11), postId: GONE_POST }],
+      [{ _id: objectId(12), postId: GONE_POST }]
+    );
+
+    const report = await cleanup.sweepOrphans({ batchSize: 2 });
+
+    expect(find).toHaveBeenCalledTimes(3);
+    expect(find.mock.calls[1][0]).toEqual({ _id: { $gt: objectId(11) } });
+    expect(find.mock.results[0].value.limit).toHaveBeenCalledWith(2);
+    expect(Comment.deleteMany.mock.calls).toEqual([
+      [{ _id: { $in: [objectId(11)] } }],
+      [{ _id: { $in: [objectId(12)] } }]
+    ]);
+    expect(report).toEqual({ comments: 2, votes: 0, flags: 0, images: 0, posts: 1 });
+  });
+
+  test('detaches images from posts that are gone', async () => {
+    pages(Image, [
+      { _id: objectId(20), postIds: [LIVE_POST] },
+      { _id: objectId(21), postIds: [LIVE_POST, GONE_POST] }
+    ]);
+    const release = jest.spyOn(Image, 'release').mockResolvedValue(1);
+
+    const report = await cleanup.sweepOrphans();
+
+    expect(release).toHaveBeenCalledWith([GONE_POST]);
+    expect(report).toMatchObject({ images: 1, posts: 1 });
+  });
+
+  test('a dry run counts what the real run would remove, without writing', async () => {
+    const find = pages(Comment, [{ _id: objectId(10), postId: GONE_POST }]);
+    pages(Vote, [{ _id: objectId(30), postId: GONE_POST }, { _id: objectId(31), postId: LIVE_POST }]);
+    pages(Image, [{ _id: objectId(20), postIds: [GONE_POST] }]);
+    const release = jest.spyOn(Image, 'release');
+
+    const report = await cleanup.sweepOrphans({ dryRun: true });
+
+    expect(report).toEqual({ comments: 1, votes: 1, flags: 0, images: 1, posts: 1 });
+    [Comment, Vote, Flag].forEach(Model => expect(Model.deleteMany).not.toHaveBeenCalled());
+    expect(release).not.toHaveBeenCalled();
+
+    // Posts about to expire or be purged count as gone; comments that will go
+    // with them are not counted twice
+    expect(Post.find.mock.calls[0][0]).toHaveProperty('$nor');
+    expect(find.mock.calls[0][0]).toHaveProperty('$nor');
+  });
+});
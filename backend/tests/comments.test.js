@@ -0,0 +1,168 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const request = require('supertest');
+const { configureEnv, mockQuery, buildApp, objectId } = require('./helpers/routes');
+
+configureEnv();
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const encryption = require('../middleware/encryption');
+const anonymizer = require('../utils/anonymizer');
+const commentsRoutes = require('../routes/comments');
+
+const PRIVATE_FIELDS = ['ipHash', 'userAgent', 'controlTokenHash', 'filterMatches'];
+const POST_ID = objectId(1);
+
+const storedComment = (n, fields = {}) => ({
+  _id: objectId(100 + n),
+  postId: POST_ID,
+  anonId: `Anon${1000 + n}`,
+  content: encryption.encrypt(`Comment ${n}`),
+  parentCommentId: null,
+  rootCommentId: null,
+  depth: 0,
+  createdAt: new Date(Date.UTC(2024, 0, 1, 0, n)),
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  isDeleted: false,
+  isFlagged: false,
+  ipHash: 'f'.repeat(64),
+  userAgent: 'Mozilla/5.0',
+  controlTokenHash: 'c'.repeat(64),
+  filterMatches: ['link-spam'],
+  ...fields
+});
+
+// Reply to `parent`, threaded the way the create route does it
+const storedReply = (n, parent, fields = {}) => storedComment(n, {
+  ...Comment.threadFieldsFor(parent),
+  ...fields
+});
+
+// What the thread aggregation returns for these thread ids
+const threadPage = (threadIds, total = threadIds.length) => [{
+  threads: threadIds.map(_id => ({ _id })),
+  total: total > 0 ? [{ count: total }] : []
+}];
+
+const app = buildApp({ '/api/posts/:postId/comments': commentsRoutes });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Post, 'findOne').mockReturnValue(mockQuery({ _id: POST_ID, isPrivate: false }));
+});
+
+describe('comments routes', () => {
+  test('private fields are not listed', async () => {
+    const root = storedComment(1);
+    jest.spyOn(Comment, 'aggregate').mockResolvedValue(threadPage([root._id]));
+    jest.spyOn(Comment, 'find').mockReturnValue(mockQuery([root, storedReply(2, root)]));
+
+    const res = await request(app).get(`/api/posts/${POST_ID}/comments`);
+
+    expect(res.status).toBe(200);
+    const [listed] = res.body.comments;
+    expect(listed.content).toBe('Comment 1');
+    expect(listed.replies[0].content).toBe('Comment 2');
+    [listed, listed.replies[0]].forEach(comment => {
+      PRIVATE_FIELDS.forEach(field => expect(comment).not.toHaveProperty(field));
+    });
+  });
+
+  describe('threading', () => {
+    test('nests replies under their parents', async () => {
+      const root = storedComment(1);
+      const reply = storedReply(2, root);
+      const nested = storedReply(3, reply);
+      const other = storedComment(4);
+      jest.spyOn(Comment, 'aggregate').mockResolvedValue(threadPage([root._id, other._id]));
+      jest.spyOn(Comment, 'find').mockReturnValue(mockQuery([root, reply, nested, other]));
+
+      const res = await request(app).get(`/api/posts/${POST_ID}/comments`);
+
+      expect(res.body.comments.map(comment => comment.content)).toEqual(['Comment 1', 'Comment 4']);
+      expect(res.body.comments[0].replies[0].content).toBe('Comment 2');
+      expect(res.body.comments[0].replies[0].replies[0]).toMatchObject({ content: 'Comment 3', depth: 2 });
+      expect(res.body.total).toBe(2);
+    });
+
+    test('replies at the depth cap become siblings', () => {
+      let parent = storedComment(1);
+      for (let n = 2; n <= 10; n++) {
+        parent = storedReply(n, parent);
+      }
+      expect(parent.depth).toBe(5); // MAX_DEPTH
+      expect(storedReply(11, parent)).toMatchObject({ depth: parent.depth, parentCommentId: parent.parentCommentId });
+    });
+
+    test('keeps replies whose top-level comment is hidden', async () => {
+      const hiddenRoot = storedComment(1, { isFlagged: true });
+      const reply = storedReply(2, hiddenRoot);
+      const nested = storedReply(3, reply);
+      jest.spyOn(Comment, 'aggregate').mockResolvedValue(threadPage([hiddenRoot._id]));
+      const find = jest.spyOn(Comment, 'find').mockReturnValue(mockQuery([reply, nested]));
+
+      const res = await request(app).get(`/api/posts/${POST_ID}/comments`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.comments).toHaveLength(1);
+      expect(res.body.comments[0]).toMatchObject({ content: 'Comment 2', replies: [{ content: 'Comment 3' }] });
+      expect(find.mock.calls[0][0].$or).toEqual([
+        { _id: { $in: [hiddenRoot._id] } },
+        { rootCommentId: { $in: [hiddenRoot._id] } }
+      ]);
+    });
+
+    test('pages over threads, hidden comments excluded', async () => {
+      const aggregate = jest.spyOn(Comment, 'aggregate').mockResolvedValue(threadPage([], 3));
+      jest.spyOn(Comment, 'find').mockReturnValue(mockQuery([]));
+
+      const res = await request(app).get(`/api/posts/${POST_ID}/comments`).query({ page: 2, limit: 2 });
+
+      const [match, , , facet] = aggregate.mock.calls[0][0];
+      expect(match.$match).toMatchObject({ isDeleted: false, isFlagged: false });
+      expect(facet.$facet.threads).toEqual([{ $skip: 2 }, { $limit: 2 }]);
+      expect(res.body.pagination).toEqual({ current: 2, total: 2, hasNext: false, hasPrev: true });
+    });
+  });
+
+  describe('delete with the control token', () => {
+    const token = anonymizer.generateControlToken();
+
+    const ownComment = () => ({
+      ...storedComment(1, { controlTokenHash: anonymizer.hashControlToken(token) }),
+      softDelete: jest.fn().mockResolvedValue()
+    });
+
+    test('deletes the comment for its author', async () => {
+      const comment = ownComment();
+      const findOne = jest.spyOn(Comment, 'findOne').mockReturnValue(mockQuery(comment));
+
+      const res = await request(app).delete(`/api/posts/${POST_ID}/comments/${comment._id}`).send({ token });
+
+      expect(res.status).toBe(200);
+      expect(comment.softDelete).toHaveBeenCalled();
+      expect(findOne.mock.calls[0][0]).toMatchObject({ _id: comment._id, postId: POST_ID });
+    });
+
+    test('refuses a wrong token', async () => {
+      const comment = ownComment();
+      jest.spyOn(Comment, 'findOne').mockReturnValue(mockQuery(comment));
+
+      const res = await request(app)
+        .delete(`/api/posts/${POST_ID}/comments/${comment._id}`)
+        .send({ token: anonymizer.generateControlToken() });
+
+      expect(res.status).toBe(403);
+      expect(comment.softDelete).not.toHaveBeenCalled();
+    });
+
+    test('answers 404 for a comment of another post', async () => {
+      jest.spyOn(Comment, 'findOne').mockReturnValue(mockQuery(null));
+
+      const res = await request(app).delete(`/api/posts/${POST_ID}/comments/${objectId(999)}`).send({ token });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
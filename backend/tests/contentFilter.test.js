@@ -0,0 +1,68 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const security = require('../middleware/security');
+const proofOfWork = require('../utils/proofOfWork');
+const contentRules = require('../utils/contentRules');
+
+// Run a middleware; resolves to the status it answered with, or 'next'
+const run = (middleware, body) => new Promise(resolve => {
+  const req = { body, query: {}, ip: '1.2.3.4', path: '/', method: 'POST', get: () => 'jest' };
+  const res = { status: (code) => ({ json: () => resolve(code) }) };
+  middleware(req, res, () => resolve('next'));
+});
+
+const CODE_SAMPLE = [
+  'Why does this fire?',
+  '',
+  '```html',
+  '<img src="x" onerror="handle()">',
+  '<a href="javascript:void(0)">x</a>',
+  '// ==========================================',
+  '```',
+  '',
+  'Also `el.onerror = fn` and `javascript:` URLs.'
+].join('\n');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('content filter', () => {
+  test.each(['post', 'comment'])('allows a horizontal rule in a %s', (target) => {
+    const { decision } = contentRules.evaluate(target, { content: 'Intro\n\n--------------------\n\nMore\n\n**************' });
+    expect(decision).toBe('allow');
+  });
+
+  test('ignores runs of characters inside code', () => {
+    expect(contentRules.evaluate('post', { content: CODE_SAMPLE }).decision).toBe('allow');
+  });
+
+  test('still rejects runs of characters in prose', () => {
+    const result = contentRules.evaluate('comment', { content: 'hahaaaaaaaaaaaaaaaaaa' });
+    expect(result).toMatchObject({ decision: 'reject', matches: ['repeated-characters'] });
+  });
+
+  test('a horizontal rule gets through the middleware', async () => {
+    expect(await run(security.contentFilter('post'), { title: 'Title', content: 'a\n\n-----------\n\nb' })).toBe('next');
+  });
+});
+
+describe('suspicious activity detector', () => {
+  test('lets code samples through without raising difficulty', async () => {
+    const report = jest.spyOn(proofOfWork, 'reportSuspicious').mockImplementation(() => {});
+
+    expect(await run(security.suspiciousActivityDetector, { title: 'Question', content: CODE_SAMPLE })).toBe('next');
+    expect(report).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['prose', { content: 'click <a href="javascript:steal()">here</a>' }],
+    ['another field', { title: '`javascript:x()`', content: 'fine' }],
+    ['an unclosed span', { content: 'see `<img onerror=x>' }]
+  ])('blocks patterns in %s', async (name, body) => {
+    const report = jest.spyOn(proofOfWork, 'reportSuspicious').mockImplementation(() => {});
+
+    expect(await run(security.suspiciousActivityDetector, body)).toBe(403);
+    expect(report).toHaveBeenCalledWith('1.2.3.4');
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadIsolated, clearEnv } = require('./helpers/isolated');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const KEY_A = 'a'.repeat(64);
+const KEY_B = 'b'.repeat(64);
+const ENV_NAMES = ['ENCRYPTION_KEY', 'ENCRYPTION_KEY_ID', 'ENCRYPTION_KEYS', 'ENCRYPTION_KEYRING_FILE', 'ENCRYPTION_CURRENT_KEY_ID'];
+
+// Fresh module (and keyring cache) for the given environment
+const loadEncryption = (env) => loadIsolated(() => require('../middleware/encryption'), { names: ENV_NAMES, env });
+
+const writeKeyring = (file, keys) => {
+  fs.writeFileSync(file, JSON.stringify({ keys: Object.entries(keys).map(([id, key]) => ({ id, key })) }));
+};
+
+afterAll(() => clearEnv(ENV_NAMES));
+
+describe('encryption', () => {
+  test('round-trips content and records the key id', () => {
+    const encryption = loadEncryption({ ENCRYPTION_KEY: KEY_A, ENCRYPTION_KEY_ID: 'k1' });
+    const record = encryption.encrypt('xin chào');
+
+    expect(record).toEqual({
+      ciphertext: expect.any(String),
+      iv: expect.stringMatching(/^[0-9a-f]{24}$/),
+      authTag: expect.stringMatching(/^[0-9a-f]{32}$/),
+      keyId: 'k1'
+    });
+    expect(record.ciphertext).not.toContain('xin');
+    expect(encryption.decrypt(record)).toBe('xin chào');
+  });
+
+  test('uses a fresh IV for every record', () => {
+    const encryption = loadEncryption({ ENCRYPTION_KEY: KEY_A });
+    expect(encryption.encrypt('same').iv).not.toBe(encryption.encrypt('same').iv);
+  });
+
+  test('refuses tampered, unknown-key and legacy records', () => {
+    const encryption = loadEncryption({ ENCRYPTION_KEY: KEY_A, ENCRYPTION_KEY_ID: 'k1' });
+    const record = encryption.encrypt('secret');
+    const flipped = (record.ciphertext[0] === '0' ? '1' : '0') + record.ciphertext.slice(1);
+
+    expect(encryption.decrypt({ ...record, ciphertext: flipped })).toBe(encryption.DECRYPTION_FAILED);
+    expect(encryption.decrypt({ ...record, keyId: 'other' })).toBe(encryption.DECRYPTION_FAILED);
+    expect(encryption.decrypt('plain legacy text')).toBe(encryption.DECRYPTION_FAILED);
+    expect(encryption.isLegacy('plain legacy text')).toBe(true);
+  });
+
+  test('refuses to run without a valid key', () => {
+    expect(() => loadEncryption({}).assertKeyConfigured()).toThrow(/No encryption key configured/);
+    expect(() => loadEncryption({ ENCRYPTION_KEY: 'short' }).assertKeyConfigured()).toThrow(/64 hex characters/);
+    expect(() => loadEncryption({ ENCRYPTION_KEYS: `k1:${KEY_A}`, ENCRYPTION_CURRENT_KEY_ID: 'k9' })
+      .assertKeyConfigured()).toThrow(/not in the keyring/);
+  });
+
+  test('encrypts with the newest key and still reads older ones', () => {
+    const encryption = loadEncryption({ ENCRYPTION_KEYS: `k1:${KEY_A},k2:${KEY_B}` });
+    expect(encryption.getCurrentKeyId()).toBe('k2');
+
+    const old = loadEncryption({ ENCRYPTION_KEYS: `k1:${KEY_A}` }).encrypt('before rotation');
+    expect(encryption.decrypt(old)).toBe('before rotation');
+
+    const rotated = encryption.rotate(old);
+    expect(rotated.keyId).toBe('k2');
+    expect(encryption.decrypt(rotated)).toBe('before rotation');
+  });
+
+  describe('keyring file reload', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anonforum-keyring-'));
+      file = path.join(dir, 'keyring.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('picks up a key added while running', () => {
+      writeKeyring(file, { k1: KEY_A });
+      const encryption = loadEncryption({ ENCRYPTION_KEYRING_FILE: file });
+      const old = encryption.encrypt('old');
+      expect(old.keyId).toBe('k1');
+
+      writeKeyring(file, { k1: KEY_A, k2: KEY_B });
+      encryption.reloadKeyring();
+
+      expect(encryption.getCurrentKeyId()).toBe('k2');
+      expect(encryption.encrypt('new').keyId).toBe('k2');
+      expect(encryption.decrypt(old)).toBe('old');
+    });
+
+    test('keeps the previous keys when the new file is invalid', () => {
+      writeKeyring(file, { k1: KEY_A });
+      const encryption = loadEncryption({ ENCRYPTION_KEYRING_FILE: file });
+      encryption.assertKeyConfigured();
+
+      fs.writeFileSync(file, '{"keys": [');
+      expect(() => encryption.reloadKeyring()).toThrow();
+
+      expect(encryption.getCurrentKeyId()).toBe('k1');
+      expect(encryption.decrypt(encryption.encrypt('still works'))).toBe('still works');
+    });
+  });
+});
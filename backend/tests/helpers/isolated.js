@@ -0,0 +1,24 @@
+// Require a fresh copy of a module, and of everything it loads, after setting
+// `env` (the variables in `names` are cleared first). For modules that read
+// their configuration or keep state at load time.
+//   loadIsolated(() => require('../config/lifetime'), { names, env })
+const loadIsolated = (load, { names = [], env = {} } = {}) => {
+  names.forEach(name => delete process.env[name]);
+  Object.assign(process.env, env);
+
+  let loaded;
+  jest.isolateModules(() => {
+    loaded = load();
+  });
+  return loaded;
+};
+
+// Unset `names` again once the suite is done
+const clearEnv = (names) => {
+  names.forEach(name => delete process.env[name]);
+};
+
+module.exports = {
+  loadIsolated,
+  clearEnv
+};
@@ -0,0 +1,61 @@
+const express = require('express');
+
+// Secrets the routes need at request time (startup checks are in server.js)
+const configureEnv = () => {
+  Object.assign(process.env, {
+    ENCRYPTION_KEY: 'a'.repeat(64),
+    PSEUDONYM_SECRET: 'test-pseudonym-secret',
+    SEARCH_INDEX_KEY: 'test-search-key',
+    POW_ENABLED: 'false'
+  });
+};
+
+// Fields removed by a `.select('-a -b')` exclusion, as MongoDB would
+const project = (doc, fields) => {
+  if (!fields || !doc || typeof doc !== 'object') return doc;
+
+  const copy = { ...doc };
+  String(fields).split(/\s+/).filter(field => field.startsWith('-'))
+    .forEach(field => delete copy[field.slice(1)]);
+  return copy;
+};
+
+// Stand-in for a Mongoose query: chainable like one and resolves to `result`.
+// Exclusions passed to select() are applied, so tests see what clients would.
+const mockQuery = (result) => {
+  let fields = '';
+  const query = {};
+
+  for (const method of ['sort', 'skip', 'limit', 'lean', 'populate', 'distinct']) {
+    query[method] = jest.fn(() => query);
+  }
+  query.select = jest.fn((value) => {
+    fields = value;
+    return query;
+  });
+  query.then = (resolve, reject) => Promise.resolve(result)
+    .then(value => Array.isArray(value) ? value.map(doc => project(doc, fields)) : project(value, fields))
+    .then(resolve, reject);
+
+  return query;
+};
+
+// Routers mounted like server.js does, without the global limiters
+const buildApp = (mounts) => {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(mounts)) {
+    app.use(path, router);
+  }
+  return app;
+};
+
+// Sequential ObjectId-shaped ids, so fixtures sort the way they were created
+const objectId = (n) => n.toString(16).padStart(24, '0');
+
+module.exports = {
+  configureEnv,
+  mockQuery,
+  buildApp,
+  objectId
+};
@@ -0,0 +1,45 @@
+const { loadIsolated, clearEnv } = require('./helpers/isolated');
+
+const HOUR = 60 * 60 * 1000;
+
+// Fresh module for the given POST_LIFETIME_BOUNDS (bounds are read at load)
+const loadLifetime = (bounds) => loadIsolated(() => require('../config/lifetime'), {
+  names: ['POST_LIFETIME_BOUNDS'],
+  env: bounds === undefined ? {} : {
+    POST_LIFETIME_BOUNDS: typeof bounds === 'string' ? bounds : JSON.stringify(bounds)
+  }
+});
+
+afterAll(() => clearEnv(['POST_LIFETIME_BOUNDS']));
+
+describe('post lifetime', () => {
+  test('default bounds', () => {
+    const lifetime = loadLifetime();
+
+    expect(lifetime.allowedLifetimes('general')).toEqual(['1h', '24h', '3d', '7d', '30d']);
+    expect(lifetime.allowedLifetimes('confession')).toEqual(['1h', '24h', '3d', '7d']);
+    expect(lifetime.resolveLifetime('general')).toBe(7 * 24 * HOUR);
+    expect(lifetime.resolveLifetime('general', '1h')).toBe(HOUR);
+    expect(lifetime.resolveLifetime('confession', '30d')).toBeNull();
+    expect(lifetime.resolveLifetime('general', '2h')).toBeNull();
+  });
+
+  test('overrides merge with the defaults and clamp the default lifetime', () => {
+    const lifetime = loadLifetime({ confession: { max: '3d' }, tech: { min: '24h' } });
+
+    expect(lifetime.allowedLifetimes('confession')).toEqual(['1h', '24h', '3d']);
+    expect(lifetime.resolveLifetime('confession')).toBe(3 * 24 * HOUR);
+    expect(lifetime.allowedLifetimes('tech')).toEqual(['24h', '3d', '7d', '30d']);
+  });
+
+  test.each([
+    ['invalid JSON', '{"default":', /valid JSON/],
+    ['a non-object', '[]', /object of categories/],
+    ['a non-object category', { confession: '3d' }, /must be an object/],
+    ['an unknown option', { confession: { maximum: '3d' } }, /unknown option "maximum"/],
+    ['an unknown lifetime', { confession: { max: '2d' } }, /unknown lifetime "2d"/],
+    ['min above max', { confession: { min: '7d', max: '24h' } }, /min 7d is longer than max 24h/]
+  ])('throws at load for %s', (name, bounds, message) => {
+    expect(() => loadLifetime(bounds)).toThrow(message);
+  });
+});
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const security = require('../middleware/security');
+
+// frontend/js/markdown.js is a browser script; run it in a jsdom window
+const loadMarkdown = () => {
+  const source = fs.readFileSync(path.join(__dirname, '../../frontend/js/markdown.js'), 'utf8');
+  const { window } = new JSDOM('', { runScripts: 'outside-only' });
+  window.eval(source);
+  return window.Markdown;
+};
+
+// What the server stores for a post body
+const storedContent = (content) => {
+  const req = { body: { title: 'Title', content }, query: {}, params: {} };
+  security.sanitizeInput(req, { status: () => ({ json: () => {} }) }, () => {});
+  return req.body.content;
+};
+
+describe('Markdown', () => {
+  const Markdown = loadMarkdown();
+
+  test('renders the supported subset', () => {
+    expect(Markdown.render('**bold** *it* ~~del~~ `code`')).toBe(
+      '<p><strong>bold</strong> <em>it</em> <del>del</del> <code>code</code></p>'
+    );
+    expect(Markdown.render('- a\n- b')).toBe('<ul><li>a</li><li>b</li></ul>');
+    expect(Markdown.render('1. a\n2. b')).toBe('<ol><li>a</li><li>b</li></ol>');
+    expect(Markdown.render('> quoted')).toBe('<blockquote><p>quoted</p></blockquote>');
+    expect(Markdown.render('||secret||')).toContain('<span class="spoiler"');
+  });
+
+  test('escapes raw HTML instead of rendering it', () => {
+    const html = Markdown.render('<script>alert(1)</script><img src=x onerror=alert(1)>');
+    expect(html).not.toMatch(/<script|<img/);
+    expect(html).toContain('&lt;script&gt;');
+  });
+
+  test('keeps code literal', () => {
+    expect(Markdown.render('```js\nif (a < b && c > d) {}\n```')).toBe(
+      '<pre><code class="language-js">if (a &lt; b &amp;&amp; c &gt; d) {}</code></pre>'
+    );
+    expect(Markdown.render('`**not bold**`')).toBe('<p><code>**not bold**</code></p>');
+  });
+
+  test('only links http(s) URLs, with safe attributes', () => {
+    expect(Markdown.render('[x](https://example.com/a_b_c)')).toBe(
+      '<p><a href="https://example.com/a_b_c" target="_blank" rel="noopener noreferrer nofollow">x</a></p>'
+    );
+    expect(Markdown.render('[x](javascript:alert(1))')).not.toContain('<a');
+    expect(Markdown.render('see https://example.com.')).toContain('href="https://example.com"');
+  });
+
+  test('limits quote nesting', () => {
+    const html = Markdown.render('> > > > deep');
+    expect(html.match(/<blockquote>/g)).toHaveLength(Markdown.MAX_QUOTE_DEPTH);
+  });
+
+  test('sanitizer drops tags and attributes outside the allowlist', () => {
+    expect(Markdown.sanitize('<p onclick="x()">a<img src="y"></p>')).toBe('<p>a</p>');
+    expect(Markdown.sanitize('<a href="javascript:x()" rel="noopener noreferrer nofollow">a</a>'))
+      .toBe('<a rel="noopener noreferrer nofollow">a</a>');
+    expect(Markdown.sanitize('<span class="evil">a</span>')).toBe('<span>a</span>');
+    expect(Markdown.sanitize('<x-widget>a</x-widget>')).toBe('a');
+  });
+
+  describe('round trip through the server', () => {
+    test.each([
+      ['quote', '> quoted line\n> second line'],
+      ['code block', '```\nif (a < b && c > d) return;\n```'],
+      ['inline code', 'use `a < b && b > c` here'],
+      ['entities', 'Tom &amp; Jerry <3'],
+      ['link', '[docs](https://example.com/?a=1&b=2)'],
+      ['mixed', '**Hi**\n\n> *quote* with `x > 1`\n\n- item <b>raw</b>']
+    ])('%s renders the same as the preview', (name, text) => {
+      expect(Markdown.render(storedContent(text))).toBe(Markdown.render(text));
+    });
+
+    test('other fields are still stripped', () => {
+      const req = { body: { title: '<b>Title</b>', content: '> quote' }, query: {}, params: {} };
+      security.sanitizeInput(req, {}, () => {});
+      expect(req.body.title).toBe('Title');
+      expect(req.body.content).toBe('> quote');
+    });
+  });
+});
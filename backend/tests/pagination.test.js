@@ -0,0 +1,58 @@
+const pagination = require('../utils/pagination');
+
+const ID = '65a1b2c3d4e5f60718293a4b';
+
+// Cursor with an arbitrary payload, as a client could forge it
+const forge = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('pagination cursors', () => {
+  test('round-trips a date cursor', () => {
+    const createdAt = new Date('2024-05-01T12:00:00.000Z');
+    const cursor = pagination.encodeCursor({ _id: ID, createdAt }, 'createdAt', -1);
+
+    expect(pagination.decodeCursor(cursor, 'createdAt', -1)).toEqual({ value: createdAt, id: ID });
+  });
+
+  test('round-trips a numeric cursor', () => {
+    const cursor = pagination.encodeCursor({ _id: ID, hotScore: 1234.5678 }, 'hotScore', -1);
+
+    expect(pagination.decodeCursor(cursor, 'hotScore', -1)).toEqual({ value: 1234.5678, id: ID });
+  });
+
+  test('rejects a cursor issued for another sort', () => {
+    const cursor = pagination.encodeCursor({ _id: ID, likes: 3 }, 'likes', -1);
+
+    expect(pagination.decodeCursor(cursor, 'likes', 1)).toBeNull();
+    expect(pagination.decodeCursor(cursor, 'score', -1)).toBeNull();
+  });
+
+  test.each([
+    ['not base64 JSON', 'garbage'],
+    ['a bad id', forge({ f: 'likes', o: -1, v: 3, id: 'nope' })],
+    ['an operator object', forge({ f: 'likes', o: -1, v: { $ne: null }, id: ID })],
+    ['a numeric string', forge({ f: 'likes', o: -1, v: '3', id: ID })],
+    ['a non-finite number', forge({ f: 'likes', o: -1, v: null, id: ID })],
+    ['a missing value', forge({ f: 'likes', o: -1, id: ID })]
+  ])('rejects a numeric cursor with %s', (name, cursor) => {
+    expect(pagination.decodeCursor(cursor, 'likes', -1)).toBeNull();
+  });
+
+  test.each([
+    ['an operator object', { $gt: '' }],
+    ['a timestamp number', 1714564800000],
+    ['a non-ISO string', 'May 1 2024'],
+    ['an invalid date', '2024-13-45T99:00:00.000Z']
+  ])('rejects a date cursor with %s', (name, v) => {
+    expect(pagination.decodeCursor(forge({ f: 'createdAt', o: -1, v, id: ID }), 'createdAt', -1)).toBeNull();
+  });
+
+  test('afterCursor continues strictly after the last item', () => {
+    expect(pagination.afterCursor({ value: 5, id: ID }, 'likes', -1)).toEqual({
+      $or: [
+        { likes: { $lt: 5 } },
+        { likes: 5, _id: { $lt: ID } }
+      ]
+    });
+    expect(pagination.afterCursor({ value: 5, id: ID }, 'likes', 1).$or[0]).toEqual({ likes: { $gt: 5 } });
+  });
+});
@@ -0,0 +1,236 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const request = require('supertest');
+const { configureEnv, mockQuery, buildApp, objectId } = require('./helpers/routes');
+
+configureEnv();
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+const Image = require('../models/Image');
+const encryption = require('../middleware/encryption');
+const anonymizer = require('../utils/anonymizer');
+const postsRoutes = require('../routes/posts');
+
+const PRIVATE_FIELDS = ['ipHash', 'userAgent', 'controlTokenHash', 'filterMatches'];
+
+const stored = (n, fields = {}) => ({
+  _id: objectId(n),
+  anonId: `Anon${1000 + n}`,
+  content: encryption.encrypt(`Body ${n}`),
+  createdAt: new Date(Date.UTC(2024, 0, 1, 0, n)),
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  isDeleted: false,
+  isFlagged: false,
+  ipHash: 'f'.repeat(64),
+  userAgent: 'Mozilla/5.0',
+  controlTokenHash: 'c'.repeat(64),
+  filterMatches: ['link-spam'],
+  ...fields
+});
+
+const storedPost = (n, fields = {}) => stored(n, {
+  title: `Post ${n}`,
+  category: 'general',
+  tags: [],
+  images: [],
+  likes: 0,
+  downvotes: 0,
+  score: 0,
+  commentCount: 0,
+  ...fields
+});
+
+const storedComment = (n, postId, fields = {}) => stored(n, {
+  postId,
+  parentCommentId: null,
+  rootCommentId: null,
+  depth: 0,
+  ...fields
+});
+
+const app = buildApp({ '/api/posts': postsRoutes });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Vote, 'find').mockReturnValue(mockQuery([]));
+});
+
+describe('posts routes', () => {
+  describe('private fields', () => {
+    test('are not listed in the feed', async () => {
+      jest.spyOn(Post, 'find').mockReturnValue(mockQuery([storedPost(1), storedPost(2)]));
+      jest.spyOn(Post, 'countDocuments').mockResolvedValue(2);
+
+      const res = await request(app).get('/api/posts');
+
+      expect(res.status).toBe(200);
+      expect(res.body.posts).toHaveLength(2);
+      res.body.posts.forEach(post => {
+        expect(post.content).toMatch(/^Body \d$/);
+        PRIVATE_FIELDS.forEach(field => expect(post).not.toHaveProperty(field));
+      });
+    });
+
+    test('are not sent with a post or its comments', async () => {
+      const post = storedPost(1);
+      jest.spyOn(Post, 'findOne').mockReturnValue(mockQuery(post));
+      jest.spyOn(Comment, 'find').mockReturnValue(mockQuery([storedComment(2, post._id)]));
+
+      const res = await request(app).get(`/api/posts/${post._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.post.content).toBe('Body 1');
+      expect(res.body.comments[0].content).toBe('Body 2');
+      [res.body.post, res.body.comments[0]].forEach(item => {
+        PRIVATE_FIELDS.forEach(field => expect(item).not.toHaveProperty(field));
+      });
+    });
+  });
+
+  describe('cursor pagination', () => {
+    const pageOf = (from, count) => Array.from({ length: count }, (_, i) => storedPost(from + i));
+
+    test('the first page returns a cursor when there are more posts', async () => {
+      const find = jest.spyOn(Post, 'find').mockReturnValue(mockQuery(pageOf(1, 3)));
+      const count = jest.spyOn(Post, 'countDocuments');
+
+      const res = await request(app).get('/api/posts').query({ cursor: '', limit: 2 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.posts).toHaveLength(2);
+      expect(res.body.hasNext).toBe(true);
+      expect(res.body.nextCursor).toEqual(expect.any(String));
+      expect(find.mock.results[0].value.limit).toHaveBeenCalledWith(3);
+      expect(count).not.toHaveBeenCalled();
+    });
+
+    test('the next page starts strictly after the cursor', async () => {
+      const last = storedPost(2);
+      const find = jest.spyOn(Post, 'find')
+        .mockReturnValueOnce(mockQuery([storedPost(1), last, storedPost(3)]))
+        .mockReturnValueOnce(mockQuery([storedPost(3)]));
+
+      const first = await request(app).get('/api/posts').query({ cursor: '', limit: 2 });
+      const res = await request(app).get('/api/posts').query({ cursor: first.body.nextCursor, limit: 2 });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ hasNext: false, nextCursor: null });
+      expect(find.mock.calls[0][0]).not.toHaveProperty('$or');
+      expect(find.mock.calls[1][0].$or).toEqual([
+        { createdAt: { $lt: last.createdAt } },
+        { createdAt: last.createdAt, _id: { $lt: last._id } }
+      ]);
+    });
+
+    test.each([
+      ['garbage', () => 'not-a-cursor'],
+      ['another sort', () => Buffer.from(JSON.stringify({ f: 'likes', o: -1, v: 1, id: objectId(1) })).toString('base64url')],
+      ['an operator value', () => Buffer.from(JSON.stringify({ f: 'createdAt', o: -1, v: { $gt: '' }, id: objectId(1) })).toString('base64url')]
+    ])('rejects %s with a 400', async (name, cursor) => {
+      const find = jest.spyOn(Post, 'find');
+
+      const res = await request(app).get('/api/posts').query({ cursor: cursor() });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid cursor');
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('delete with the control token', () => {
+    const token = anonymizer.generateControlToken();
+
+    const ownPost = () => ({
+      ...storedPost(1, { controlTokenHash: anonymizer.hashControlToken(token) }),
+      softDelete: jest.fn().mockResolvedValue()
+    });
+
+    test('deletes the post for its author', async () => {
+      const post = ownPost();
+      jest.spyOn(Post, 'findOne').mockReturnValue(mockQuery(post));
+
+      const res = await request(app).delete(`/api/posts/${post._id}`).send({ token });
+
+      expect(res.status).toBe(200);
+      expect(post.softDelete).toHaveBeenCalled();
+    });
+
+    test.each([
+      ['a wrong token', { token: anonymizer.generateControlToken() }],
+      ['no token', {}]
+    ])('refuses %s', async (name, body) => {
+      const post = ownPost();
+      jest.spyOn(Post, 'findOne').mockReturnValue(mockQuery(post));
+
+      const res = await request(app).delete(`/api/posts/${post._id}`).send(body);
+
+      expect(res.status).toBe(403);
+      expect(post.softDelete).not.toHaveBeenCalled();
+    });
+
+    test('answers 404 for a post that is gone', async () => {
+      jest.spyOn(Post, 'findOne').mockReturnValue(mockQuery(null));
+
+      const res = await request(app).delete(`/api/posts/${objectId(9)}`).send({ token });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('attaching images', () => {
+    const upload = { id: 'a'.repeat(64), token: anonymizer.generateControlToken() };
+
+    const create = (images) => request(app).post('/api/posts').send({
+      title: 'Ảnh chụp màn hình',
+      content: 'Xem ảnh đính kèm bên dưới nhé.',
+      category: 'general',
+      images
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Post.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Image, 'bulkWrite').mockResolvedValue({});
+    });
+
+    test('needs the token returned with the upload, not just the image id', async () => {
+      const res = await create([upload.id]);
+
+      expect(res.status).toBe(400);
+      expect(Post.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('refuses an image without an unused receipt for the token', async () => {
+      const count = jest.spyOn(Image, 'countDocuments').mockResolvedValue(0);
+
+      const res = await create([upload]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([{ field: 'images', message: 'Unknown or expired image' }]);
+      expect(count.mock.calls[0][0].$or[0]).toMatchObject({
+        hash: upload.id,
+        uploads: { $elemMatch: { tokenHash: anonymizer.hashControlToken(upload.token) } }
+      });
+      expect(Post.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('uses up the receipt when the post is saved', async () => {
+      jest.spyOn(Image, 'countDocuments').mockResolvedValue(1);
+
+      const res = await create([upload]);
+
+      expect(res.status).toBe(201);
+      expect(res.body.post.images).toEqual([upload.id]);
+
+      const [[[{ updateOne }]]] = Image.bulkWrite.mock.calls;
+      expect(updateOne.filter).toMatchObject({ hash: upload.id, uploads: expect.any(Object) });
+      expect(updateOne.update).toMatchObject({
+        $pull: { uploads: { tokenHash: anonymizer.hashControlToken(upload.token) } },
+        $addToSet: { postIds: expect.anything() }
+      });
+    });
+  });
+});
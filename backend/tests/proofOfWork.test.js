@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { loadIsolated, clearEnv } = require('./helpers/isolated');
+
+const ENV_NAMES = ['POW_SECRET', 'POW_ENABLED', 'POW_BASE_DIFFICULTY', 'POW_MAX_DIFFICULTY'];
+
+// Fresh module (and load/suspicion state) for the given environment
+const loadProofOfWork = (env = {}) => loadIsolated(() => require('../utils/proofOfWork'), {
+  names: ENV_NAMES,
+  env: { POW_SECRET: 'test-secret', POW_BASE_DIFFICULTY: '4', POW_MAX_DIFFICULTY: '10', ...env }
+});
+
+const leadingZeroBits = (digest) => {
+  const bits = [...digest].map(byte => byte.toString(2).padStart(8, '0')).join('');
+  return bits.indexOf('1') === -1 ? bits.length : bits.indexOf('1');
+};
+
+// What the browser does: find a nonce meeting the difficulty
+const solve = ({ challenge, difficulty }) => {
+  for (let nonce = 0; ; nonce++) {
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (leadingZeroBits(digest) >= difficulty) return String(nonce);
+  }
+};
+
+const unsolve = ({ challenge, difficulty }) => {
+  for (let nonce = 0; ; nonce++) {
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (leadingZeroBits(digest) < difficulty) return String(nonce);
+  }
+};
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+afterAll(() => clearEnv(ENV_NAMES));
+
+describe('proof of work', () => {
+  test('accepts a solved challenge once', () => {
+    const proofOfWork = loadProofOfWork();
+    const issued = proofOfWork.issueChallenge('post', '1.2.3.4');
+    const nonce = solve(issued);
+
+    expect(issued).toMatchObject({ difficulty: 4, algorithm: 'sha256' });
+    expect(proofOfWork.verifySolution(issued.challenge, nonce, 'post')).toBeNull();
+    expect(proofOfWork.verifySolution(issued.challenge, nonce, 'post')).toBe('Challenge already used');
+  });
+
+  test('rejects insufficient work, another purpose and missing input', () => {
+    const proofOfWork = loadProofOfWork();
+    const issued = proofOfWork.issueChallenge('comment', '1.2.3.4');
+
+    expect(proofOfWork.verifySolution(issued.challenge, unsolve(issued), 'comment')).toBe('Invalid proof of work');
+    expect(proofOfWork.verifySolution(issued.challenge, solve(issued), 'post')).toBe('Challenge was issued for a different action');
+    expect(proofOfWork.verifySolution(undefined, '1', 'comment')).toBe('Proof of work required');
+    expect(proofOfWork.verifySolution(issued.challenge, 'x'.repeat(33), 'comment')).toBe('Proof of work required');
+  });
+
+  test('rejects challenges that were altered or signed with another secret', () => {
+    const issued = loadProofOfWork().issueChallenge('post', '1.2.3.4');
+    const [payload, signature] = issued.challenge.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const easier = Buffer.from(JSON.stringify({ ...claims, difficulty: 0 })).toString('base64url');
+
+    const proofOfWork = loadProofOfWork();
+    expect(proofOfWork.verifySolution(`${easier}.${signature}`, '0', 'post')).toBe('Invalid challenge');
+    expect(loadProofOfWork({ POW_SECRET: 'other' }).verifySolution(issued.challenge, solve(issued), 'post'))
+      .toBe('Invalid challenge');
+  });
+
+  test('rejects expired challenges', () => {
+    jest.useFakeTimers({ now: Date.UTC(2024, 0, 1) });
+    const proofOfWork = loadProofOfWork();
+    const issued = proofOfWork.issueChallenge('post', '1.2.3.4');
+
+    jest.setSystemTime(Date.UTC(2024, 0, 1, 0, 5));
+    expect(proofOfWork.verifySolution(issued.challenge, solve(issued), 'post')).toBe('Challenge expired');
+  });
+
+  test('suspicious requesters get harder challenges, up to the maximum', () => {
+    const proofOfWork = loadProofOfWork();
+
+    proofOfWork.reportSuspicious('6.6.6.6');
+    expect(proofOfWork.issueChallenge('post', '6.6.6.6').difficulty).toBe(6);
+    expect(proofOfWork.issueChallenge('post', '1.2.3.4').difficulty).toBe(4);
+
+    proofOfWork.reportSuspicious('6.6.6.6');
+    proofOfWork.reportSuspicious('6.6.6.6');
+    expect(proofOfWork.issueChallenge('post', '6.6.6.6').difficulty).toBe(10);
+  });
+
+  test('requires POW_SECRET only while enabled', () => {
+    expect(() => loadProofOfWork({ POW_SECRET: '' }).assertSecretConfigured()).toThrow(/POW_SECRET is not set/);
+
+    const disabled = loadProofOfWork({ POW_SECRET: '', POW_ENABLED: 'false' });
+    expect(() => disabled.assertSecretConfigured()).not.toThrow();
+    expect(() => disabled.reportSuspicious('6.6.6.6')).not.toThrow();
+  });
+});
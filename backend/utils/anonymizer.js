@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+const PREFIXES = ['Anon', 'Ghost', 'Shadow', 'Phantom', 'Mystery', 'Unknown', 'Cipher', 'Void'];
+
+const getSecret = () => {
+  if (!process.env.PSEUDONYM_SECRET) {
+    throw new Error('PSEUDONYM_SECRET is not set: configure a random secret for pseudonyms and voter hashes');
+  }
+  return process.env.PSEUDONYM_SECRET;
+};
+
+// Called at startup, like encryption.assertKeyConfigured
+const assertSecretConfigured = () => {
+  getSecret();
+};
+
+// Per-thread pseudonym: the same ipHash always maps to the same name inside one
+// post, but names from different posts cannot be linked without the server secret.
+const threadPseudonym = (postId, ipHash) => {
+  const digest = crypto
+    .createHmac('sha256', getSecret())
+    .update(`${postId}:${ipHash}`)
+    .digest();
+
+  const prefix = PREFIXES[digest[0] % PREFIXES.length];
+  const number = (digest.readUInt16BE(1) % 9000) + 1000;
+  return `${prefix}${number}`;
+};
+
+// Voter identity for one post. Keyed per post so a voter's votes on different
+// posts cannot be joined together.
+const voterHash = (postId, ipHash) => {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`vote:${postId}:${ipHash}`)
+    .digest('hex');
+};
+
+// Reporter identity for one post or comment, used to allow a single flag per
+// reporter without linking their reports across targets
+const reporterHash = (targetId, ipHash) => {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`flag:${targetId}:${ipHash}`)
+    .digest('hex');
+};
+
+// Author control tokens: the client keeps the token, the server only stores its hash
+const generateControlToken = () => crypto.randomBytes(24).toString('hex');
+
+const hashControlToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const verifyControlToken = (token, storedHash) => {
+  if (!token || !storedHash) return false;
+
+  const candidate = Buffer.from(hashControlToken(token), 'hex');
+  const expected = Buffer.from(storedHash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+};
+
+module.exports = {
+  assertSecretConfigured,
+  threadPseudonym,
+  voterHash,
+  reporterHash,
+  generateControlToken,
+  hashControlToken,
+  verifyControlToken
+};
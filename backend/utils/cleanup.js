@@ -0,0 +1,224 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+const Flag = require('../models/Flag');
+const Image = require('../models/Image');
+const imageStore = require('./imageStore');
+const logger = require('./logger');
+
+// Soft-deleted content is kept this long before being purged for good
+const DEFAULT_GRACE_HOURS = 24;
+
+const getGraceMs = () => {
+  const hours = parseFloat(process.env.CLEANUP_GRACE_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_GRACE_HOURS) * 60 * 60 * 1000;
+};
+
+// Count or delete documents matching `query`, depending on dryRun
+const removeMatching = async (Model, query, dryRun) => {
+  if (dryRun) {
+    return Model.countDocuments(query);
+  }
+  const result = await Model.deleteMany(query);
+  return result.deletedCount;
+};
+
+// Posts and comments past expiresAt
+const expiredQuery = () => ({ expiresAt: { $lte: new Date() } });
+
+// Soft-deleted posts and comments whose grace period has passed
+const purgeableQuery = (graceMs) => ({
+  isDeleted: true,
+  deletedAt: { $lte: new Date(Date.now() - graceMs) }
+});
+
+// Remove posts and comments past expiresAt (backs up the TTL index, which
+// only runs once a minute and not at all on some hosted MongoDB tiers)
+const removeExpired = async ({ dryRun = false } = {}) => {
+  const query = expiredQuery();
+
+  return {
+    posts: await removeMatching(Post, query, dryRun),
+    comments: await removeMatching(Comment, query, dryRun)
+  };
+};
+
+// Hard-delete soft-deleted content once the grace period has passed
+const purgeDeleted = async ({ dryRun = false, graceMs = getGraceMs() } = {}) => {
+  const query = purgeableQuery(graceMs);
+
+  return {
+    posts: await removeMatching(Post, query, dryRun),
+    comments: await removeMatching(Comment, query, dryRun)
+  };
+};
+
+// Documents are checked for a missing post this many at a time
+const SWEEP_BATCH_SIZE = 1000;
+
+// Page through Model by _id and call `handle(docs, missing)` for each batch
+// that references posts which no longer exist (`missing`: id string -> id).
+// Only posts matching `postFilter` count as existing, and only documents
+// matching `docFilter` are looked at.
+const forEachOrphanBatch = async (Model, field, { batchSize, postFilter, docFilter }, handle) => {
+  let lastId = null;
+
+  for (;;) {
+    const docs = await Model.find(lastId ? { ...docFilter, _id: { $gt: lastId } } : docFilter, { [field]: 1 })
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .lean();
+    if (docs.length === 0) break;
+    lastId = docs[docs.length - 1]._id;
+
+    const referenced = new Map(docs.flatMap(doc => [].concat(doc[field] || [])).map(id => [String(id), id]));
+    const existingIds = await Post.find({ ...postFilter, _id: { $in: [...referenced.values()] } }).distinct('_id');
+    existingIds.forEach(id => referenced.delete(String(id)));
+
+    if (referenced.size > 0) {
+      await handle(docs, referenced);
+    }
+  }
+};
+
+// Delete comments, votes and flags whose parent post no longer exists, and
+// detach images from such posts (unused images then expire)
+const sweepOrphans = async ({ dryRun = false, graceMs = getGraceMs(), batchSize = SWEEP_BATCH_SIZE } = {}) => {
+  // A dry run has removed nothing yet: what removeExpired and purgeDeleted
+  // would remove counts as gone, so the report matches a real run
+  const live = dryRun ? { $nor: [expiredQuery(), purgeableQuery(graceMs)] } : {};
+  const report = { comments: 0, votes: 0, flags: 0, images: 0 };
+  const missingPosts = new Set();
+
+  const sweep = async (key, Model, docFilter) => {
+    await forEachOrphanBatch(Model, 'postId', { batchSize, postFilter: live, docFilter }, async (docs, missing) => {
+      const orphanIds = docs.filter(doc => missing.has(String(doc.postId))).map(doc => doc._id);
+      report[key] += await removeMatching(Model, { _id: { $in: orphanIds } }, dryRun);
+      [...missing.keys()].forEach(id => missingPosts.add(id));
+    });
+  };
+
+  await sweep('comments', Comment, live);
+  await sweep('votes', Vote, {});
+  await sweep('flags', Flag, {});
+
+  const attached = { 'postIds.0': { $exists: true } };
+  await forEachOrphanBatch(Image, 'postIds', { batchSize, postFilter: live, docFilter: attached }, async (docs, missing) => {
+    report.images += dryRun
+      ? docs.filter(doc => doc.postIds.some(id => missing.has(String(id)))).length
+      : await Image.release([...missing.values()]);
+    [...missing.keys()].forEach(id => missingPosts.add(id));
+  });
+
+  return { ...report, posts: missingPosts.size };
+};
+
+// Delete expired images: pending uploads never attached to a post, and images
+// whose posts have all expired or been deleted. Each record is deleted only
+// if it is still expired, so an image re-uploaded in the meantime is kept.
+const removeExpiredImages = async ({ dryRun = false } = {}) => {
+  const query = { expiresAt: { $lte: new Date() } };
+
+  if (dryRun) {
+    return { images: await Image.countDocuments(query) };
+  }
+
+  const expired = await Image.find(query, { hash: 1 }).lean();
+  let removed = 0;
+
+  for (const { _id, hash } of expired) {
+    // Skip images re-uploaded or re-attached since the find
+    const deleted = await Image.findOneAndDelete({ _id, ...query });
+    if (!deleted) continue;
+
+    await imageStore.remove(hash);
+    removed++;
+  }
+
+  return { images: removed };
+};
+
+// Posts are reconciled this many at a time
+const RECONCILE_BATCH_SIZE = 500;
+
+// Make Post.commentCount match the number of listed comments (not deleted or
+// held for review), refreshing the ranking scores that depend on it (and
+// filling them in for older posts).
+// Each batch reads its posts before counting their comments, and a post is
+// only written if its count is still the one read: a comment added meanwhile
+// changes the count, so that post is left alone until the next run.
+const reconcileCommentCounts = async ({ dryRun = false, batchSize = RECONCILE_BATCH_SIZE } = {}) => {
+  let corrected = 0;
+  let lastId = null;
+
+  for (;;) {
+    const posts = await Post.find(lastId ? { _id: { $gt: lastId } } : {},
+      { commentCount: 1, likes: 1, downvotes: 1, createdAt: 1, hotScore: 1 })
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .lean();
+    if (posts.length === 0) break;
+    lastId = posts[posts.length - 1]._id;
+
+    const counts = await Comment.aggregate([
+      { $match: { postId: { $in: posts.map(post => post._id) }, isDeleted: false, isFlagged: false } },
+      { $group: { _id: '$postId', count: { $sum: 1 } } }
+    ]);
+    const actual = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+    const updates = posts
+      .filter(post => {
+        const count = actual.get(String(post._id)) || 0;
+        return count !== post.commentCount || post.hotScore === undefined;
+      })
+      .map(post => {
+        const commentCount = actual.get(String(post._id)) || 0;
+        return {
+          updateOne: {
+            filter: { _id: post._id, commentCount: post.commentCount ?? null },
+            update: { $set: { commentCount, ...Post.rankingScores({ ...post, commentCount }) } }
+          }
+        };
+      });
+
+    if (dryRun || updates.length === 0) {
+      corrected += updates.length;
+    } else {
+      const result = await Post.bulkWrite(updates, { ordered: false });
+      corrected += result.modifiedCount;
+    }
+  }
+
+  return { posts: corrected };
+};
+
+// Full cleanup pass. With dryRun nothing is written and the report shows
+// what would have been removed or corrected.
+const cleanupExpiredPosts = async ({ dryRun = false } = {}) => {
+  const startedAt = new Date();
+
+  const report = {
+    dryRun,
+    startedAt: startedAt.toISOString(),
+    expired: await removeExpired({ dryRun }),
+    purged: await purgeDeleted({ dryRun }),
+    orphans: await sweepOrphans({ dryRun }),
+    images: await removeExpiredImages({ dryRun }),
+    reconciled: await reconcileCommentCounts({ dryRun })
+  };
+
+  report.durationMs = Date.now() - startedAt;
+
+  logger.info(dryRun ? 'Cleanup dry run report:' : 'Cleanup report:', report);
+
+  return report;
+};
+
+module.exports = {
+  cleanupExpiredPosts,
+  removeExpired,
+  purgeDeleted,
+  sweepOrphans,
+  removeExpiredImages,
+  reconcileCommentCounts
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const markdown = require('./markdown');
+
+// Scored content filter. Rules live in a JSON file (CONTENT_RULES_FILE,
+// default config/content-rules.json) that is reloaded when it changes:
+//   { "thresholds": { "review": 3, "reject": 6 },
+//     "rules": [{ "id", "type": "words" | "regex", "words" | "pattern",
+//                 "weight", "targets"?, "fields"?, "minMatches"?,
+//                 "ignoreDiacritics"?, "skipCode"?, "flags"? }] }
+// Each matching rule adds its weight once; the total decides the outcome.
+// With skipCode, Markdown code blocks and spans are not checked.
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../config/content-rules.json');
+const WATCH_INTERVAL_MS = 2000;
+
+const TARGETS = ['post', 'comment'];
+const FIELDS = ['title', 'content'];
+
+let ruleset = null;
+let watching = false;
+
+const getRulesFile = () => process.env.CONTENT_RULES_FILE || DEFAULT_RULES_FILE;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// NFC so composed and decomposed Vietnamese input match the same rules;
+// optionally fold diacritics so "kiem tien" also matches "kiếm tiền"
+const normalize = (text, ignoreDiacritics) => {
+  const composed = String(text).normalize('NFC');
+  if (!ignoreDiacritics) return composed;
+
+  return composed
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+};
+
+const compileRule = (rule, index) => {
+  const id = rule.id || `rule-${index + 1}`;
+  const ignoreDiacritics = Boolean(rule.ignoreDiacritics);
+  let regex;
+
+  if (rule.type === 'words') {
+    if (!Array.isArray(rule.words) || rule.words.length === 0) {
+      throw new Error(`Rule ${id}: "words" must be a non-empty array`);
+    }
+
+    // Whole words/phrases only; \b does not understand Vietnamese letters
+    const alternatives = rule.words.map(word => escapeRegExp(normalize(word, ignoreDiacritics)));
+    regex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  } else if (rule.type === 'regex') {
+    const flags = new Set(`${rule.flags || ''}g`);
+    regex = new RegExp(rule.pattern, [...flags].join(''));
+  } else {
+    throw new Error(`Rule ${id}: unknown type "${rule.type}"`);
+  }
+
+  return {
+    id,
+    regex,
+    ignoreDiacritics,
+    skipCode: Boolean(rule.skipCode),
+    weight: Number.isFinite(rule.weight) ? rule.weight : 1,
+    minMatches: Math.max(1, parseInt(rule.minMatches) || 1),
+    targets: rule.targets || TARGETS,
+    fields: rule.fields || FIELDS
+  };
+};
+
+const compileRuleset = (config) => {
+  const review = Number(config.thresholds?.review);
+  const reject = Number(config.thresholds?.reject);
+
+  if (!Number.isFinite(review) || !Number.isFinite(reject) || review > reject) {
+    throw new Error('thresholds.review and thresholds.reject must be numbers with review <= reject');
+  }
+
+  return {
+    thresholds: { review, reject },
+    rules: (config.rules || []).map(compileRule)
+  };
+};
+
+// (Re)load the rules file. A broken file keeps the last good ruleset.
+const loadRules = () => {
+  const file = getRulesFile();
+
+  try {
+    ruleset = compileRuleset(JSON.parse(fs.readFileSync(file, 'utf8')));
+    logger.info('Content rules loaded:', { file, rules: ruleset.rules.length });
+  } catch (error) {
+    logger.error('Failed to load content rules:', { file, error: error.message });
+    if (!ruleset) throw error;
+  }
+
+  return ruleset;
+};
+
+const getRuleset = () => ruleset || loadRules();
+
+// Reload the rules whenever the file changes, without a restart
+const watch = () => {
+  if (watching) return;
+  watching = true;
+
+  fs.watchFile(getRulesFile(), { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      loadRules();
+    }
+  }).unref();
+};
+
+const countMatches = (regex, text, limit) => {
+  regex.lastIndex = 0;
+  let count = 0;
+  let match;
+  while (count < limit && (match = regex.exec(text)) !== null) {
+    count += 1;
+    // Step past empty matches so patterns like /x*/ cannot loop forever
+    if (match[0] === '') regex.lastIndex += 1;
+  }
+  return count;
+};
+
+// Score `fields` ({ title, content }) for a post or comment.
+// Returns { score, decision: 'allow' | 'review' | 'reject', matches: [ruleId] }
+const evaluate = (target, fields) => {
+  const { thresholds, rules } = getRuleset();
+  const matches = [];
+  let score = 0;
+
+  for (const rule of rules) {
+    if (!rule.targets.includes(target)) continue;
+
+    const text = rule.fields
+      .map(field => fields[field])
+      .filter(Boolean)
+      .map(value => rule.skipCode ? markdown.stripCode(value) : value)
+      .map(value => normalize(value, rule.ignoreDiacritics))
+      .join('\n');
+
+    if (text && countMatches(rule.regex, text, rule.minMatches) >= rule.minMatches) {
+      matches.push(rule.id);
+      score += rule.weight;
+    }
+  }
+
+  let decision = 'allow';
+  if (score >= thresholds.reject) {
+    decision = 'reject';
+  } else if (score >= thresholds.review) {
+    decision = 'review';
+  }
+
+  return { score, decision, matches };
+};
+
+module.exports = {
+  loadRules,
+  watch,
+  evaluate
+};
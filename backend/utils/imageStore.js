@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const images = require('../config/images');
+
+// Image files on local disk, named by the SHA-256 of their (re-encoded)
+// content so identical uploads are stored once: <UPLOAD_DIR>/<hash>.webp
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+const filePath = (hash) => {
+  if (!HASH_PATTERN.test(hash)) {
+    throw new Error('Invalid image hash');
+  }
+  return path.join(images.UPLOAD_DIR, `${hash}.webp`);
+};
+
+// Public URL of a stored image (served by routes/images)
+const urlFor = (hash) => `/api/images/${hash}.webp`;
+
+// Decode, orient, resize and re-encode an upload as WebP. sharp writes no
+// EXIF/GPS, XMP or ICC metadata unless asked to, so none of the original
+// metadata survives. Throws if the buffer is not a readable image.
+const processImage = async (buffer) => {
+  const { data, info } = await sharp(buffer, {
+    limitInputPixels: images.MAX_INPUT_PIXELS,
+    failOn: 'error'
+  })
+    .rotate() // apply the EXIF orientation before it is dropped
+    .resize({
+      width: images.MAX_DIMENSION,
+      height: images.MAX_DIMENSION,
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .webp({ quality: images.WEBP_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    hash: crypto.createHash('sha256').update(data).digest('hex'),
+    width: info.width,
+    height: info.height,
+    size: info.size
+  };
+};
+
+// Write the file unless it already exists; a temp file plus rename means
+// readers never see a partial image
+const save = async (hash, buffer) => {
+  const target = filePath(hash);
+
+  try {
+    await fs.promises.access(target);
+    return false;
+  } catch (error) {
+    // Not stored yet
+  }
+
+  await fs.promises.mkdir(images.UPLOAD_DIR, { recursive: true });
+  const temp = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  await fs.promises.writeFile(temp, buffer);
+  await fs.promises.rename(temp, target);
+  return true;
+};
+
+const remove = async (hash) => {
+  try {
+    await fs.promises.unlink(filePath(hash));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  HASH_PATTERN,
+  filePath,
+  urlFor,
+  processImage,
+  save,
+  remove
+};
@@ -0,0 +1,41 @@
+const { EventEmitter } = require('events');
+
+// In-process pub/sub feeding the SSE stream (routes/stream). Each instance
+// only sees its own writes; run a single instance or put a broker behind this.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// `threadOnly` events only go to clients that have that post's thread open
+const publish = (type, data, { threadOnly = false } = {}) => {
+  bus.emit('event', { type, data, threadOnly });
+};
+
+// Returns an unsubscribe function
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+// Public counters of a post, as sent in `counts` events
+const postCounts = (post) => ({
+  postId: String(post._id),
+  likes: post.likes,
+  downvotes: post.downvotes,
+  score: post.score,
+  commentCount: post.commentCount
+});
+
+// Publish a post's counters. Hidden posts (held, flagged or deleted) are
+// skipped and private threads only reach their own readers, so the stream
+// never reveals the ids of posts the feed does not list.
+const publishCounts = (post) => {
+  if (post.isFlagged || post.isDeleted) return;
+  publish('counts', postCounts(post), { threadOnly: post.isPrivate === true });
+};
+
+module.exports = {
+  publish,
+  publishCounts,
+  subscribe,
+  postCounts
+};
@@ -0,0 +1,19 @@
+// Server-side helpers for the Markdown subset that frontend/js/markdown.js
+// renders. Post and comment bodies are stored as that Markdown.
+
+// Fenced blocks run from a ``` line to the closing fence (or the end of the
+// text); code spans are `...` on one line. Both render as literal code.
+const FENCED_CODE = /^\s*```\s*[\w+-]{0,30}\s*$[\s\S]*?(?:^\s*```\s*$|(?![\s\S]))/gm;
+const INLINE_CODE = /`[^`\n]+`/g;
+
+// The text without its code, for checks that should only look at prose
+// (a code sample may legitimately contain `onerror=` or long runs of `=`)
+const stripCode = (text) => {
+  return String(text)
+    .replace(FENCED_CODE, '\n')
+    .replace(INLINE_CODE, ' ');
+};
+
+module.exports = {
+  stripCode
+};
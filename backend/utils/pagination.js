@@ -0,0 +1,58 @@
+// Opaque cursors for keyset pagination. A cursor records the sort field, its
+// direction and the (value, _id) of the last item served, so the next page
+// starts strictly after it no matter how many posts were added in between.
+
+const encodeCursor = (doc, sortField, sortOrder) => {
+  const value = doc[sortField] instanceof Date ? doc[sortField].toISOString() : doc[sortField];
+  const payload = { f: sortField, o: sortOrder, v: value, id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// createdAt is encoded with toISOString, every other sort field is numeric
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+const parseValue = (value, sortField) => {
+  if (sortField === 'createdAt') {
+    const date = typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : null;
+    return date && !isNaN(date) ? date : undefined;
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+};
+
+// Returns null for anything that is not a cursor issued for this sort. The
+// value ends up in a query, so only a plain number or date gets through
+const decodeCursor = (cursor, sortField, sortOrder) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (payload.f !== sortField || payload.o !== sortOrder || !/^[0-9a-fA-F]{24}$/.test(payload.id)) {
+      return null;
+    }
+
+    const value = parseValue(payload.v, sortField);
+    if (value === undefined) {
+      return null;
+    }
+
+    return { value, id: payload.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query clause selecting documents after the cursor position
+const afterCursor = ({ value, id }, sortField, sortOrder) => {
+  const op = sortOrder === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sortField]: { [op]: value } },
+      { [sortField]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+// Approximate count of active clients. Each open tab sends a heartbeat with a
+// random token it generated itself; the token is only folded into a
+// HyperLogLog sketch (never stored), so the server cannot list or link
+// visitors, only estimate how many there are. Sketches are kept per minute and
+// a client counts as online if it was seen in the current or previous minute.
+
+const PRECISION = 10; // 1024 registers, ~3% standard error
+const REGISTERS = 1 << PRECISION;
+const BUCKET_MS = 60 * 1000;
+const ALPHA = 0.7213 / (1 + 1.079 / REGISTERS);
+
+// Fresh per process so sketches cannot be correlated across restarts
+const SALT = crypto.randomBytes(16);
+
+// bucket start -> Map(category -> registers); 'all' holds every client
+const buckets = new Map();
+
+const bucketStart = (now) => now - (now % BUCKET_MS);
+
+const getSketch = (start, category) => {
+  if (!buckets.has(start)) {
+    buckets.set(start, new Map());
+  }
+  const sketches = buckets.get(start);
+  if (!sketches.has(category)) {
+    sketches.set(category, new Uint8Array(REGISTERS));
+  }
+  return sketches.get(category);
+};
+
+const addToSketch = (registers, token) => {
+  const digest = crypto.createHmac('sha256', SALT).update(token).digest();
+  const index = digest.readUInt32BE(0) >>> (32 - PRECISION);
+  const rank = Math.clz32(digest.readUInt32BE(4)) + 1;
+
+  if (rank > registers[index]) {
+    registers[index] = rank;
+  }
+};
+
+const estimate = (registers) => {
+  let sum = 0;
+  let zeros = 0;
+  for (const value of registers) {
+    sum += 2 ** -value;
+    if (value === 0) zeros += 1;
+  }
+
+  const raw = (ALPHA * REGISTERS * REGISTERS) / sum;
+
+  // Linear counting is more accurate for small numbers of clients
+  if (raw <= 2.5 * REGISTERS && zeros > 0) {
+    return Math.round(REGISTERS * Math.log(REGISTERS / zeros));
+  }
+  return Math.round(raw);
+};
+
+const prune = (now) => {
+  const oldest = bucketStart(now) - BUCKET_MS;
+  for (const start of buckets.keys()) {
+    if (start < oldest) buckets.delete(start);
+  }
+};
+
+// Record a heartbeat for `token`, viewing `category` ('all' for the main feed)
+const heartbeat = (token, category, now = Date.now()) => {
+  prune(now);
+
+  const start = bucketStart(now);
+  addToSketch(getSketch(start, 'all'), token);
+  if (category !== 'all') {
+    addToSketch(getSketch(start, category), token);
+  }
+};
+
+// { online, categories: { <category>: viewers } } over the active window
+const counts = (now = Date.now()) => {
+  prune(now);
+
+  const merged = new Map();
+  for (const sketches of buckets.values()) {
+    for (const [category, registers] of sketches) {
+      const target = merged.get(category) || new Uint8Array(REGISTERS);
+      for (let i = 0; i < REGISTERS; i++) {
+        if (registers[i] > target[i]) target[i] = registers[i];
+      }
+      merged.set(category, target);
+    }
+  }
+
+  const categories = {};
+  for (const [category, registers] of merged) {
+    if (category !== 'all') {
+      categories[category] = estimate(registers);
+    }
+  }
+
+  return {
+    online: merged.has('all') ? estimate(merged.get('all')) : 0,
+    categories
+  };
+};
+
+module.exports = {
+  heartbeat,
+  counts
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+// Hashcash-style proof of work for anonymous writes. A challenge is a signed,
+// self-describing token, so nothing is stored until it is redeemed:
+//   <base64url JSON { id, purpose, difficulty, exp }>.<HMAC>
+// The client must find a nonce such that sha256(`${challenge}:${nonce}`)
+// starts with `difficulty` zero bits.
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const LOAD_WINDOW_MS = 60 * 1000;
+const SUSPICION_TTL_MS = 60 * 60 * 1000;
+const PURPOSES = ['post', 'comment', 'upload'];
+
+// Extra bits once this many challenges were issued within LOAD_WINDOW_MS
+const LOAD_STEPS = [
+  { issued: 60, extra: 1 },
+  { issued: 200, extra: 2 },
+  { issued: 600, extra: 4 }
+];
+
+// Single-process state; behind several instances each one adapts on its own
+const issuedAt = [];
+const redeemed = new Map(); // challenge id -> expiry, to refuse replays
+const suspicion = new Map(); // requester key -> { hits, lastAt }
+
+const isEnabled = () => process.env.POW_ENABLED !== 'false';
+
+const getSecret = () => {
+  if (!process.env.POW_SECRET) {
+    throw new Error('POW_SECRET is not set: configure a random secret to sign proof-of-work challenges');
+  }
+  return process.env.POW_SECRET;
+};
+
+// Called at startup; the secret is only needed while proof of work is enabled
+const assertSecretConfigured = () => {
+  if (isEnabled()) getSecret();
+};
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+const baseDifficulty = () => readInt('POW_BASE_DIFFICULTY', 16);
+const maxDifficulty = () => readInt('POW_MAX_DIFFICULTY', 22);
+
+const sign = (payload) => {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+};
+
+// Keyed hash of the requester's IP; only kept for SUSPICION_TTL_MS
+const requesterKey = (ip) => {
+  return crypto.createHmac('sha256', getSecret()).update(`pow:${ip}`).digest('hex');
+};
+
+const prune = (now) => {
+  while (issuedAt.length > 0 && issuedAt[0] <= now - LOAD_WINDOW_MS) {
+    issuedAt.shift();
+  }
+  for (const [id, exp] of redeemed) {
+    if (exp <= now) redeemed.delete(id);
+  }
+  for (const [key, entry] of suspicion) {
+    if (entry.lastAt <= now - SUSPICION_TTL_MS) suspicion.delete(key);
+  }
+};
+
+// Record a signal from suspiciousActivityDetector against this requester
+const reportSuspicious = (ip) => {
+  if (!isEnabled()) return;
+
+  const key = requesterKey(ip);
+  const entry = suspicion.get(key) || { hits: 0 };
+  suspicion.set(key, { hits: entry.hits + 1, lastAt: Date.now() });
+};
+
+// Difficulty for the next challenge: base + current load + requester suspicion
+const difficultyFor = (ip, now = Date.now()) => {
+  prune(now);
+
+  const loadExtra = LOAD_STEPS
+    .filter(step => issuedAt.length >= step.issued)
+    .reduce((extra, step) => Math.max(extra, step.extra), 0);
+
+  const hits = suspicion.get(requesterKey(ip))?.hits || 0;
+  const suspicionExtra = Math.min(hits * 2, 6);
+
+  return Math.min(baseDifficulty() + loadExtra + suspicionExtra, maxDifficulty());
+};
+
+const issueChallenge = (purpose, ip) => {
+  const now = Date.now();
+  const difficulty = difficultyFor(ip, now);
+  issuedAt.push(now);
+
+  const payload = Buffer.from(JSON.stringify({
+    id: crypto.randomBytes(12).toString('hex'),
+    purpose,
+    difficulty,
+    exp: now + CHALLENGE_TTL_MS
+  })).toString('base64url');
+
+  return {
+    challenge: `${payload}.${sign(payload)}`,
+    difficulty,
+    algorithm: 'sha256',
+    expiresAt: new Date(now + CHALLENGE_TTL_MS).toISOString()
+  };
+};
+
+const leadingZeroBits = (digest) => {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+// Check a solved challenge. Returns null when valid, else the reason it is not.
+// A valid challenge is consumed and cannot be used again.
+const verifySolution = (challenge, nonce, purpose) => {
+  if (typeof challenge !== 'string' || typeof nonce !== 'string' || nonce.length > 32) {
+    return 'Proof of work required';
+  }
+
+  const [payload, signature] = challenge.split('.');
+  const expected = payload ? sign(payload) : '';
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return 'Invalid challenge';
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return 'Invalid challenge';
+  }
+
+  const now = Date.now();
+  prune(now);
+
+  if (claims.purpose !== purpose) return 'Challenge was issued for a different action';
+  if (claims.exp <= now) return 'Challenge expired';
+  if (redeemed.has(claims.id)) return 'Challenge already used';
+
+  const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+  if (leadingZeroBits(digest) < claims.difficulty) return 'Invalid proof of work';
+
+  redeemed.set(claims.id, claims.exp);
+  return null;
+};
+
+module.exports = {
+  PURPOSES,
+  isEnabled,
+  assertSecretConfigured,
+  issueChallenge,
+  verifySolution,
+  reportSuspicious
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKENS_PER_POST = 300;
+
+// There is deliberately no default: with a known key anyone holding the
+// database could hash a dictionary and read the indexed words back
+const getKey = () => {
+  if (!process.env.SEARCH_INDEX_KEY) {
+    throw new Error('SEARCH_INDEX_KEY is not set: configure a random secret for the search index');
+  }
+  return process.env.SEARCH_INDEX_KEY;
+};
+
+// Called at startup, like encryption.assertKeyConfigured
+const assertKeyConfigured = () => {
+  getKey();
+};
+
+// Lowercase, strip Vietnamese diacritics (so "cuoc song" finds "cuộc sống")
+// and split into unique words
+const tokenize = (text) => {
+  if (!text) return [];
+
+  const normalized = String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd');
+
+  const words = normalized.split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= MIN_TOKEN_LENGTH);
+
+  return [...new Set(words)];
+};
+
+// Keyed hash of a single word; without the key the stored values reveal nothing
+const blindToken = (word) => {
+  return crypto.createHmac('sha256', getKey()).update(word).digest('hex').substring(0, 16);
+};
+
+// Blind index for a post: title, tags and body words, hashed
+const buildIndex = ({ title, content, tags }) => {
+  const words = tokenize([title, content, ...(tags || [])].join(' '));
+  return words.slice(0, MAX_TOKENS_PER_POST).map(blindToken);
+};
+
+// Hashed tokens for a search query; a post matches when it has all of them
+const queryTokens = (query) => tokenize(query).slice(0, 10).map(blindToken);
+
+module.exports = {
+  tokenize,
+  buildIndex,
+  queryTokens,
+  assertKeyConfigured
+};
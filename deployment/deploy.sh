@@ -112,7 +112,7 @@ else
 fi
 
 # Check Backend API
-if curl -f http://localhost:5000/api/health > /dev/null 2>&1; then
+if curl -f http://localhost:5000/api/health/ready > /dev/null 2>&1; then
     print_status "Backend API is healthy"
 else
     print_error "Backend API health check failed"
@@ -0,0 +1,216 @@
+// Moderator panel: review flagged content, remove or restore it
+class ModeratorPanel {
+    constructor() {
+        this.view = 'flagged';
+        this.token = sessionStorage.getItem('anonforum_admin_token') || null;
+        this.imageUrls = [];
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('adminLoginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login(document.getElementById('adminToken').value.trim());
+        });
+
+        if (this.token) {
+            this.showPanel();
+        }
+    }
+
+    async login(token) {
+        if (!token) return;
+
+        this.token = token;
+        const ok = await this.refresh();
+
+        if (ok) {
+            // Session storage only: the token is gone when the tab closes
+            sessionStorage.setItem('anonforum_admin_token', token);
+            this.showPanel();
+        } else {
+            this.token = null;
+        }
+    }
+
+    logout() {
+        sessionStorage.removeItem('anonforum_admin_token');
+        this.token = null;
+        document.getElementById('adminPanel').style.display = 'none';
+        document.getElementById('adminLogin').style.display = 'block';
+        document.getElementById('adminItems').innerHTML = '';
+        this.releaseImages();
+    }
+
+    showPanel() {
+        document.getElementById('adminLogin').style.display = 'none';
+        document.getElementById('adminPanel').style.display = 'block';
+        this.refresh();
+    }
+
+    async showView(view) {
+        this.view = view;
+
+        document.querySelectorAll('[data-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === view);
+        });
+        document.getElementById('adminType').style.display = view === 'audit' ? 'none' : '';
+
+        await this.refresh();
+    }
+
+    async refresh() {
+        const container = document.getElementById('adminItems');
+
+        try {
+            if (this.view === 'audit') {
+                const response = await API.getAuditLog(this.token);
+                container.innerHTML = this.renderAudit(response.entries);
+            } else {
+                const type = document.getElementById('adminType').value;
+                const response = await API.getModerationQueue(this.token, { type, status: this.view });
+                container.innerHTML = response.items.length
+                    ? response.items.map(item => this.renderItem(item, type)).join('')
+                    : '<div class="empty-state"><p>Hàng đợi trống 🎉</p></div>';
+                this.loadImages(container);
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to load moderation data:', error);
+            this.showNotification(error instanceof API.AuthError ? 'Token không hợp lệ' : 'Không thể tải dữ liệu', 'error');
+            return false;
+        }
+    }
+
+    // Removed posts no longer serve their images, so only the count is shown.
+    // Held posts' images need the admin token: loadImages fills them in.
+    renderImages(item) {
+        const ids = (item.images || []).filter(id => /^[0-9a-f]{64}$/.test(id));
+        if (ids.length === 0) return '';
+        if (this.view === 'removed') {
+            return `<div class="post-tags"><span class="tag">🖼️ ${ids.length} ảnh</span></div>`;
+        }
+
+        return `<div class="post-images count-${ids.length}">${ids
+            .map(id => `<a target="_blank" rel="noopener noreferrer"><img data-image-id="${id}" alt=""></a>`)
+            .join('')}</div>`;
+    }
+
+    async loadImages(container) {
+        this.releaseImages();
+
+        await Promise.all(Array.from(container.querySelectorAll('img[data-image-id]')).map(async img => {
+            try {
+                const url = URL.createObjectURL(await API.getModerationImage(this.token, img.dataset.imageId));
+                this.imageUrls.push(url);
+                img.src = url;
+                img.parentElement.href = url;
+            } catch (error) {
+                console.error('Failed to load image:', error);
+            }
+        }));
+    }
+
+    releaseImages() {
+        this.imageUrls.forEach(url => URL.revokeObjectURL(url));
+        this.imageUrls = [];
+    }
+
+    renderItem(item, type) {
+        const actions = this.view === 'removed'
+            ? `<button class="post-action-btn" onclick="adminModerate('${type}', '${item._id}', 'restore')">↩️ Khôi phục</button>`
+            : `
+                <button class="post-action-btn" onclick="adminModerate('${type}', '${item._id}', 'approve')">✅ Duyệt</button>
+                <button class="post-action-btn" onclick="adminModerate('${type}', '${item._id}', 'remove')">🗑️ Gỡ</button>
+            `;
+
+        return `
+            <article class="post-card" data-item-id="${item._id}">
+                <header class="post-header">
+                    <div class="post-anon-id">👤 ${this.escapeHtml(item.anonId)}</div>
+                    <div class="post-meta">
+                        <span class="post-timestamp">${new Date(item.createdAt).toLocaleString('vi-VN')}</span>
+                        ${item.isPrivate ? '<span class="post-expiry" title="Nội dung mã hóa đầu cuối">🔒</span>' : ''}
+                        <span class="post-expiry">🚩 ${item.flagCount || 0}</span>
+                    </div>
+                </header>
+                ${item.title ? `<h2 class="post-title">${this.escapeHtml(item.title)}</h2>` : ''}
+                <div class="post-content">${this.escapeHtml(item.content)}</div>
+                ${this.renderImages(item)}
+                <div class="post-tags">${Object.entries(item.flagReasons || {})
+                    .map(([reason, count]) => `<span class="tag">${this.escapeHtml(reason)} × ${count}</span>`)
+                    .join('')}${(item.filterMatches || [])
+                    .map(rule => `<span class="tag">⚙️ ${this.escapeHtml(rule)}</span>`)
+                    .join('')}</div>
+                <footer class="post-actions">
+                    <div class="post-stats">${actions}</div>
+                </footer>
+            </article>
+        `;
+    }
+
+    renderAudit(entries) {
+        if (entries.length === 0) {
+            return '<div class="empty-state"><p>Chưa có hoạt động nào</p></div>';
+        }
+
+        return entries.map(entry => `
+            <div class="comment-item">
+                <div class="comment-header">
+                    <strong class="comment-anon-id">${this.escapeHtml(entry.action)} · ${this.escapeHtml(entry.targetType)} ${this.escapeHtml(entry.targetId)}</strong>
+                    <span class="comment-timestamp">${new Date(entry.createdAt).toLocaleString('vi-VN')}</span>
+                </div>
+                <div class="comment-content">
+                    Moderator ${this.escapeHtml(entry.actor)}${entry.note ? ` — ${this.escapeHtml(entry.note)}` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async moderate(type, id, action) {
+        const note = action === 'remove' ? prompt('Lý do (tùy chọn):') : null;
+        if (note === null && action === 'remove') return;
+
+        try {
+            await API.moderate(this.token, type, id, action, note || undefined);
+
+            const card = document.querySelector(`[data-item-id="${id}"]`);
+            if (card) card.remove();
+
+            this.showNotification('✅ Đã cập nhật', 'success');
+        } catch (error) {
+            console.error('Moderation action failed:', error);
+            this.showNotification('Không thể thực hiện thao tác', 'error');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info', duration = 4000) {
+        const container = document.getElementById('notificationContainer');
+
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.textContent = message;
+        container.appendChild(notification);
+
+        setTimeout(() => notification.remove(), duration);
+    }
+}
+
+// Global functions for HTML onclick handlers
+window.moderator = null;
+
+window.adminShowView = (view) => moderator?.showView(view);
+window.adminRefresh = () => moderator?.refresh();
+window.adminLogout = () => moderator?.logout();
+window.adminModerate = (type, id, action) => moderator?.moderate(type, id, action);
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.moderator = new ModeratorPanel();
+});
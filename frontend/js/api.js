@@ -0,0 +1,348 @@
+// Client for the AnonForum REST API.
+// Every request is aborted after a timeout. Idempotent GETs are retried with
+// exponential backoff on network errors, timeouts, 429 and 502/503/504.
+// Failed responses ({ error, details?, code?, retryAfter? }) are thrown as one
+// of the ApiError subclasses below, so callers can switch on the type or
+// `status` instead of parsing messages.
+
+class ApiError extends Error {
+    constructor(message, { status = 0, code = null, details = [], data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details; // [{ field, message }], field is null for whole-request errors
+        this.data = data;
+    }
+
+    // { field: message } for details that name a field; `tags[0]` counts as `tags`
+    get fieldErrors() {
+        const fields = {};
+        this.details.forEach(({ field, message }) => {
+            const name = field && field.split(/[.[]/)[0];
+            if (name && !fields[name]) fields[name] = message;
+        });
+        return fields;
+    }
+}
+
+class ValidationError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ValidationError';
+    }
+}
+
+class AuthError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'AuthError';
+    }
+}
+
+class ProofOfWorkError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ProofOfWorkError';
+    }
+}
+
+class NotFoundError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NotFoundError';
+    }
+}
+
+class ConflictError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ConflictError';
+    }
+}
+
+class RateLimitError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'RateLimitError';
+        this.retryAfter = options.retryAfter || null; // seconds
+    }
+}
+
+class ServerError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ServerError';
+    }
+}
+
+// The request never got a response (offline, DNS, CORS, connection reset)
+class NetworkError extends ApiError {
+    constructor(message = 'Network request failed', options) {
+        super(message, options);
+        this.name = 'NetworkError';
+    }
+}
+
+class TimeoutError extends ApiError {
+    constructor(message = 'Request timed out', options) {
+        super(message, options);
+        this.name = 'TimeoutError';
+    }
+}
+
+const API = {
+    // Override with <meta name="api-base" content="https://..."> or API.configure()
+    config: {
+        baseUrl: document.querySelector('meta[name="api-base"]')?.content || '/api',
+        timeout: 15000,
+        retries: 2,
+        retryDelay: 500,
+        maxRetryDelay: 8000
+    },
+
+    RETRYABLE_STATUSES: [429, 502, 503, 504],
+
+    configure(options) {
+        Object.assign(this.config, options);
+    },
+
+    buildUrl(path, params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.set(key, value);
+            }
+        });
+
+        const search = query.toString();
+        return `${this.config.baseUrl.replace(/\/$/, '')}${path}${search ? `?${search}` : ''}`;
+    },
+
+    // Turn a failed response into the matching ApiError subclass
+    toError(status, body, headers) {
+        const data = body && typeof body === 'object' ? body : {};
+        const message = data.error || `Request failed with status ${status}`;
+
+        // Field errors come as [{ field, message }]; model errors as plain strings
+        const details = (Array.isArray(data.details) ? data.details : []).map(detail =>
+            typeof detail === 'string'
+                ? { field: null, message: detail }
+                : { field: detail.field || null, message: detail.message }
+        );
+        const options = { status, code: data.code || null, details, data };
+
+        if (status === 400 || status === 422) return new ValidationError(message, options);
+        if (status === 401) return new AuthError(message, options);
+        if (status === 403) {
+            return data.code === 'POW_REQUIRED'
+                ? new ProofOfWorkError(message, options)
+                : new AuthError(message, options);
+        }
+        if (status === 404) return new NotFoundError(message, options);
+        if (status === 409) return new ConflictError(message, options);
+        if (status === 429) {
+            const retryAfter = Number(data.retryAfter) || Number(headers.get('Retry-After')) || null;
+            return new RateLimitError(message, { ...options, retryAfter });
+        }
+        if (status >= 500) return new ServerError(message, options);
+        return new ApiError(message, options);
+    },
+
+    // Exponential backoff with jitter; a server-provided Retry-After wins
+    retryDelay(attempt, error) {
+        if (error instanceof RateLimitError && error.retryAfter) {
+            return Math.min(error.retryAfter * 1000, this.config.maxRetryDelay);
+        }
+        const delay = Math.min(this.config.retryDelay * 2 ** attempt, this.config.maxRetryDelay);
+        return delay / 2 + Math.random() * delay / 2;
+    },
+
+    isRetryable(error) {
+        return error instanceof NetworkError ||
+            error instanceof TimeoutError ||
+            this.RETRYABLE_STATUSES.includes(error.status);
+    },
+
+    // JSON bodies are serialized; FormData is sent as is (the browser sets
+    // the multipart boundary). responseType 'blob' returns the raw body.
+    async send(method, path, { params, body, headers = {}, timeout = this.config.timeout, responseType = 'json' } = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const json = body !== undefined && !(body instanceof FormData);
+
+        let response;
+        try {
+            response = await fetch(this.buildUrl(path, params), {
+                method,
+                headers: {
+                    'Accept': 'application/json',
+                    ...(json ? { 'Content-Type': 'application/json' } : {}),
+                    ...headers
+                },
+                body: json ? JSON.stringify(body) : body,
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw controller.signal.aborted ? new TimeoutError() : new NetworkError(error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (responseType === 'blob' && response.ok) {
+            return response.blob();
+        }
+
+        let data = null;
+        if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+            data = await response.json().catch(() => null);
+        }
+
+        if (!response.ok) {
+            throw this.toError(response.status, data, response.headers);
+        }
+        return data;
+    },
+
+    // Only GETs are retried; writes could otherwise be applied twice
+    async request(method, path, options = {}) {
+        const retries = method === 'GET' ? (options.retries ?? this.config.retries) : 0;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(method, path, options);
+            } catch (error) {
+                if (attempt >= retries || !this.isRetryable(error)) throw error;
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay(attempt, error)));
+            }
+        }
+    },
+
+    get(path, params, options = {}) {
+        return this.request('GET', path, { ...options, params });
+    },
+
+    post(path, body = {}, options = {}) {
+        return this.request('POST', path, { ...options, body });
+    },
+
+    delete(path, body = {}, options = {}) {
+        return this.request('DELETE', path, { ...options, body });
+    },
+
+    powHeaders(pow) {
+        return pow ? { 'X-PoW-Challenge': pow.challenge, 'X-PoW-Nonce': pow.nonce } : {};
+    },
+
+    adminHeaders(token) {
+        return { 'Authorization': `Bearer ${token}` };
+    },
+
+    // Posts
+    getStats() {
+        return this.get('/posts/stats/overview');
+    },
+
+    getPosts(params = {}) {
+        return this.get('/posts', params);
+    },
+
+    searchPosts(params = {}) {
+        return this.get('/posts/search', params);
+    },
+
+    getPostWithComments(postId) {
+        return this.get(`/posts/${postId}`, undefined, { retries: 0 }); // may claim a burn-after-reading view
+    },
+
+    createPost(postData, pow) {
+        return this.post('/posts', postData, { headers: this.powHeaders(pow) });
+    },
+
+    votePost(postId, value) {
+        return this.post(`/posts/${postId}/vote`, { value });
+    },
+
+    flagPost(postId, reason) {
+        return this.post(`/posts/${postId}/flag`, { reason });
+    },
+
+    deletePost(postId, token) {
+        return this.delete(`/posts/${postId}`, { token });
+    },
+
+    // Comments
+    getComments(postId, params = {}) {
+        return this.get(`/posts/${postId}/comments`, params);
+    },
+
+    createComment(postId, commentData, pow) {
+        return this.post(`/posts/${postId}/comments`, commentData, { headers: this.powHeaders(pow) });
+    },
+
+    flagComment(postId, commentId, reason) {
+        return this.post(`/posts/${postId}/comments/${commentId}/flag`, { reason });
+    },
+
+    deleteComment(postId, commentId, token) {
+        return this.delete(`/posts/${postId}/comments/${commentId}`, { token });
+    },
+
+    // Images: upload returns [{ id, token, url, width, height }]; { id, token }
+    // pairs go in postData.images (each token attaches its image once)
+    uploadImages(files, pow) {
+        const form = new FormData();
+        Array.from(files).forEach(file => form.append('images', file));
+        return this.post('/images', form, { headers: this.powHeaders(pow), timeout: 60000 });
+    },
+
+    imageUrl(id) {
+        return this.buildUrl(`/images/${id}.webp`);
+    },
+
+    // Proof of work, live updates and presence
+    getChallenge(purpose) {
+        return this.get('/challenge', { purpose });
+    },
+
+    streamUrl(params = {}) {
+        return this.buildUrl('/stream', params);
+    },
+
+    sendHeartbeat(token, category) {
+        return this.post('/presence', { token, category });
+    },
+
+    // Moderation (admin token as a bearer token)
+    getModerationQueue(token, params = {}) {
+        return this.get('/admin/queue', params, { headers: this.adminHeaders(token) });
+    },
+
+    moderate(token, type, id, action, note) {
+        return this.post(`/admin/${type}/${id}/${action}`, { note }, { headers: this.adminHeaders(token) });
+    },
+
+    getAuditLog(token, params = {}) {
+        return this.get('/admin/audit', params, { headers: this.adminHeaders(token) });
+    },
+
+    // Images of held posts are only served to moderators
+    getModerationImage(token, id) {
+        return this.get(`/admin/images/${id}`, undefined, { headers: this.adminHeaders(token), responseType: 'blob' });
+    }
+};
+
+Object.assign(API, {
+    ApiError,
+    ValidationError,
+    AuthError,
+    ProofOfWorkError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+    ServerError,
+    NetworkError,
+    TimeoutError
+});
+
+window.API = API;
@@ -0,0 +1,88 @@
+// End-to-end encryption for private threads.
+// The thread key is generated in the browser and only ever lives in the URL
+// fragment (#private-<postId>.<key>), which browsers never send to the server.
+// Title, content and comments are sealed with AES-256-GCM; the server stores
+// the result as opaque text of the form "e2e1.<base64url(iv || ciphertext)>".
+const E2E = {
+    PREFIX: 'e2e1.',
+    IV_BYTES: 12,
+    FRAGMENT_PATTERN: /^#private-([0-9a-fA-F]{24})\.([A-Za-z0-9_-]{43})$/,
+
+    isSupported() {
+        return Boolean(window.crypto?.subtle);
+    },
+
+    isEncrypted(text) {
+        return typeof text === 'string' && text.startsWith(this.PREFIX);
+    },
+
+    toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    },
+
+    async generateKey() {
+        return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    },
+
+    async exportKey(key) {
+        const raw = await crypto.subtle.exportKey('raw', key);
+        return this.toBase64Url(new Uint8Array(raw));
+    },
+
+    async importKey(text) {
+        return crypto.subtle.importKey('raw', this.fromBase64Url(text), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    },
+
+    // `field` ('title', 'content', 'comment') is bound in as additional data,
+    // so a ciphertext cannot be moved from one field to another
+    async encrypt(key, plaintext, field) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(field) },
+            key,
+            new TextEncoder().encode(plaintext)
+        );
+
+        const sealed = new Uint8Array(iv.length + ciphertext.byteLength);
+        sealed.set(iv);
+        sealed.set(new Uint8Array(ciphertext), iv.length);
+        return this.PREFIX + this.toBase64Url(sealed);
+    },
+
+    // Returns null if the text cannot be decrypted with this key
+    async decrypt(key, text, field) {
+        if (!this.isEncrypted(text)) return null;
+
+        try {
+            const sealed = this.fromBase64Url(text.slice(this.PREFIX.length));
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: sealed.slice(0, this.IV_BYTES), additionalData: new TextEncoder().encode(field) },
+                key,
+                sealed.slice(this.IV_BYTES)
+            );
+            return new TextDecoder().decode(plaintext);
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // { postId, keyText } from a private thread link, or null
+    parseFragment(hash) {
+        const match = this.FRAGMENT_PATTERN.exec(hash || '');
+        return match ? { postId: match[1], keyText: match[2] } : null;
+    },
+
+    buildLink(postId, keyText) {
+        return `${location.origin}${location.pathname}#private-${postId}.${keyText}`;
+    }
+};
+
+window.E2E = E2E;
@@ -1,12 +1,30 @@
 // Main application logic
+
+// Mirrors backend/config/images.js; the server checks again
+const IMAGE_LIMITS = {
+    maxCount: 4,
+    maxBytes: 5 * 1024 * 1024,
+    types: ['image/jpeg', 'image/png', 'image/webp', 'image/gif']
+};
+
 class AnonForum {
     constructor() {
         this.currentPage = 1;
+        this.nextCursor = null;
         this.currentCategory = 'all';
         this.currentSort = 'createdAt';
         this.posts = [];
+        this.downvotesEnabled = false;
         this.isLoading = false;
         this.currentPostId = null;
+        this.replyToCommentId = null;
+        this.searchQuery = '';
+        this.reportTarget = null;
+        this.eventSource = null;
+        this.pollTimer = null;
+        this.presenceToken = null;
+        this.privateThread = null; // { postId, key } while a private thread is open
+        this.outboxTimer = null;
         
         this.init();
     }
@@ -21,14 +39,19 @@ class AnonForum {
             
             // Load initial data
             await this.loadStats();
-            await this.loadPosts();
+            
+            // Restore the view from the URL (feed filters, permalink or private thread)
+            await this.applyRoute({ initial: true });
             
             // Update online counter
             this.updateOnlineCounter();
-            setInterval(() => this.updateOnlineCounter(), 30000);
+            setInterval(() => this.updateOnlineCounter(), 45000);
+            
+            // Live updates (falls back to polling if the stream is unavailable)
+            this.connectStream();
             
-            // Auto-refresh posts periodically
-            setInterval(() => this.autoRefresh(), 60000);
+            // Send anything written while offline last time
+            this.flushOutbox();
             
             // Hide loading screen
             this.hideLoadingScreen();
@@ -41,6 +64,18 @@ class AnonForum {
     }
 
     initEventListeners() {
+        // Back/forward, edited URLs and shared links all go through the router
+        window.addEventListener('hashchange', () => this.applyRoute());
+
+        // Offline reading comes from the service worker cache; queued writes go out when back online
+        window.addEventListener('offline', () => {
+            this.showNotification('📴 Mất kết nối. Đang hiển thị dữ liệu đã lưu, bài viết mới sẽ được gửi khi có mạng.', 'warning');
+        });
+        window.addEventListener('online', () => {
+            this.flushOutbox();
+            this.loadPosts(1);
+        });
+
         // Form submission
         const postForm = document.getElementById('postForm');
         if (postForm) {
@@ -53,6 +88,14 @@ class AnonForum {
             commentForm.addEventListener('submit', (e) => this.handleCommentSubmit(e));
         }
 
+        const reportForm = document.getElementById('reportForm');
+        if (reportForm) {
+            reportForm.addEventListener('submit', (e) => this.handleReportSubmit(e));
+        }
+
+        // Search box
+        this.initSearch();
+
         // Character counters
         this.initCharacterCounters();
 
@@ -70,6 +113,18 @@ class AnonForum {
             }
         });
 
+        // Markdown write/preview tabs
+        this.initEditorTabs();
+        
+        // Image attachments
+        this.initImageInput();
+        
+        // Spoilers stay hidden until clicked
+        document.addEventListener('click', (e) => {
+            const spoiler = e.target.closest('.spoiler');
+            if (spoiler) spoiler.classList.toggle('revealed');
+        });
+
         // Auto-save form data
         this.initAutoSave();
 
@@ -77,6 +132,104 @@ class AnonForum {
         this.initInfiniteScroll();
     }
 
+    initSearch() {
+        const searchInput = document.getElementById('searchInput');
+        if (!searchInput) return;
+
+        let debounceTimer;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => this.searchPosts(searchInput.value), 400);
+        });
+    }
+
+    initEditorTabs() {
+        document.querySelectorAll('.editor-tabs').forEach(tabs => {
+            tabs.addEventListener('click', (e) => {
+                const tab = e.target.closest('.editor-tab');
+                if (!tab) return;
+                
+                this.setEditorMode(tabs.dataset.editor, tab.dataset.mode);
+                if (tab.dataset.mode === 'write') {
+                    document.getElementById(tabs.dataset.editor).focus();
+                }
+            });
+        });
+    }
+
+    // Switch the editor for `textareaId` between 'write' and 'preview'
+    setEditorMode(textareaId, mode) {
+        const textarea = document.getElementById(textareaId);
+        const preview = document.getElementById(`${textareaId}Preview`);
+        const tabs = document.querySelector(`.editor-tabs[data-editor="${textareaId}"]`);
+        if (!textarea || !preview || !tabs) return;
+        
+        const previewing = mode === 'preview';
+        if (previewing) {
+            preview.innerHTML = this.formatContent(textarea.value.trim()) ||
+                '<p class="preview-empty">Chưa có nội dung để xem trước</p>';
+        }
+        
+        textarea.style.display = previewing ? 'none' : '';
+        preview.style.display = previewing ? '' : 'none';
+        tabs.querySelectorAll('.editor-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.mode === mode);
+        });
+    }
+
+    initImageInput() {
+        const input = document.getElementById('postImages');
+        const privateToggle = document.getElementById('postPrivate');
+        if (!input) return;
+        
+        input.addEventListener('change', () => this.renderImagePreviews());
+        
+        // Images are stored unencrypted, so private threads cannot have any
+        privateToggle?.addEventListener('change', () => {
+            input.disabled = privateToggle.checked;
+            if (privateToggle.checked) {
+                input.value = '';
+                this.renderImagePreviews();
+            }
+        });
+    }
+
+    // Thumbnails of the selected files, read as data: URLs (allowed by the CSP)
+    renderImagePreviews() {
+        const input = document.getElementById('postImages');
+        const container = document.getElementById('postImagesPreview');
+        if (!input || !container) return;
+        
+        container.innerHTML = '';
+        Array.from(input.files).slice(0, IMAGE_LIMITS.maxCount).forEach(file => {
+            if (!IMAGE_LIMITS.types.includes(file.type)) return;
+            
+            const img = document.createElement('img');
+            img.className = 'image-preview';
+            img.alt = file.name;
+            container.appendChild(img);
+            
+            const reader = new FileReader();
+            reader.onload = () => { img.src = reader.result; };
+            reader.readAsDataURL(file);
+        });
+    }
+
+    renderPostImages(post) {
+        const ids = (post.images || []).filter(id => /^[0-9a-f]{64}$/.test(id));
+        if (ids.length === 0) return '';
+        
+        return `
+            <div class="post-images count-${ids.length}">
+                ${ids.map((id, index) => `
+                    <a href="${API.imageUrl(id)}" target="_blank" rel="noopener noreferrer">
+                        <img src="${API.imageUrl(id)}" alt="Ảnh ${index + 1}" loading="lazy" decoding="async">
+                    </a>
+                `).join('')}
+            </div>
+        `;
+    }
+
     initCharacterCounters() {
         const inputs = [
             { input: 'postTitle', counter: 'titleCounter', max: 200 },
@@ -232,26 +385,35 @@ class AnonForum {
         this.showPostsLoading(!append);
 
         try {
-            const response = await API.getPosts({
-                page,
+            // Appending (infinite scroll) continues from the last cursor so new
+            // posts arriving in the meantime cannot shift the feed
+            const params = {
                 category: this.currentCategory === 'all' ? undefined : this.currentCategory,
-                sort: this.currentSort,
-                limit: 20
-            });
+                limit: 20,
+                ...(append ? { cursor: this.nextCursor } : { page })
+            };
+            const response = this.searchQuery
+                ? await API.searchPosts({ ...params, q: this.searchQuery })
+                : await API.getPosts({ ...params, sort: this.currentSort });
 
             if (append) {
-                this.posts = [...this.posts, ...response.posts];
+                const seen = new Set(this.posts.map(post => post._id));
+                this.posts = [...this.posts, ...response.posts.filter(post => !seen.has(post._id))];
             } else {
                 this.posts = response.posts;
                 this.currentPage = page;
             }
+            this.nextCursor = response.nextCursor || null;
+            this.downvotesEnabled = Boolean(response.downvotesEnabled);
 
             this.renderPosts();
-            this.updatePagination(response.pagination);
+            if (response.pagination) {
+                this.updatePagination(response.pagination);
+            }
             
         } catch (error) {
             console.error('Failed to load posts:', error);
-            this.showNotification('Không thể tải bài viết. Vui lòng thử lại.', 'error');
+            this.showApiError(error, 'Không thể tải bài viết. Vui lòng thử lại.');
             this.renderEmptyState();
         } finally {
             this.isLoading = false;
@@ -261,14 +423,12 @@ class AnonForum {
 
     async loadMorePosts() {
         if (this.hasMorePosts()) {
-            await this.loadPosts(this.currentPage + 1, true);
+            await this.loadPosts(this.currentPage, true);
         }
     }
 
     hasMorePosts() {
-        const pagination = document.getElementById('pagination');
-        const nextBtn = document.getElementById('nextBtn');
-        return nextBtn && !nextBtn.disabled;
+        return Boolean(this.nextCursor);
     }
 
     showPostsLoading(replace = true) {
@@ -318,7 +478,7 @@ class AnonForum {
                     <div class="post-anon-id">👤 ${this.escapeHtml(post.anonId)}</div>
                     <div class="post-meta">
                         <span class="post-timestamp">${timeAgo}</span>
-                        <span class="post-expiry">🕒 ${post.timeUntilExpiry || 'Sắp hết hạn'}</span>
+                        <span class="post-expiry">🕒 ${post.timeUntilExpiry || this.formatTimeLeft(post.expiresAt)}</span>
                     </div>
                 </header>
                 
@@ -326,17 +486,32 @@ class AnonForum {
                 
                 ${tags ? `<div class="post-tags">${tags}</div>` : ''}
                 
-                <div class="post-content">${this.formatContent(post.content)}</div>
+                ${post.burnAfterViews && post.content === null ? `
+                    <button class="post-content burn-notice" onclick="forum.openPost('${post._id}')">
+                        🔥 Bài viết tự hủy sau ${post.burnAfterViews} lượt xem
+                        (còn ${Math.max(post.burnAfterViews - (post.viewCount || 0), 0)}). Nhấn để xem.
+                    </button>
+                ` : `<div class="post-content markdown-body">${this.formatContent(post.content)}</div>`}
+                
+                ${this.renderPostImages(post)}
                 
                 <footer class="post-actions">
                     <div class="post-stats">
-                        <button class="post-action-btn" onclick="forum.likePost('${post._id}')" 
+                        <button class="post-action-btn ${post.myVote === 1 ? 'liked' : ''}" onclick="forum.likePost('${post._id}')" 
                                 data-post-id="${post._id}" data-action="like">
                             <span>👍</span>
                             <span>${post.likes || 0}</span>
                         </button>
                         
-                        <button class="post-action-btn" onclick="forum.showComments('${post._id}')"
+                        ${this.downvotesEnabled ? `
+                            <button class="post-action-btn ${post.myVote === -1 ? 'disliked' : ''}" onclick="forum.downvotePost('${post._id}')"
+                                    data-post-id="${post._id}" data-action="downvote">
+                                <span>👎</span>
+                                <span>${post.downvotes || 0}</span>
+                            </button>
+                        ` : ''}
+                        
+                        <button class="post-action-btn" onclick="forum.openPost('${post._id}')"
                                 data-post-id="${post._id}" data-action="comment">
                             <span>💬</span>
                             <span>${post.commentCount || 0}</span>
@@ -349,10 +524,18 @@ class AnonForum {
                         </button>
                     </div>
                     
-                    <button class="post-action-btn" onclick="forum.flagPost('${post._id}')" 
-                            title="Báo cáo vi phạm">
-                        🚩 Báo cáo
-                    </button>
+                    <div class="post-stats">
+                        ${this.getControlToken('posts', post._id) ? `
+                            <button class="post-action-btn" onclick="forum.deletePost('${post._id}')"
+                                    title="Xóa bài viết của bạn">
+                                🗑️ Xóa
+                            </button>
+                        ` : ''}
+                        <button class="post-action-btn" onclick="forum.flagPost('${post._id}')" 
+                                title="Báo cáo vi phạm">
+                            🚩 Báo cáo
+                        </button>
+                    </div>
                 </footer>
             </article>
         `;
@@ -362,6 +545,17 @@ class AnonForum {
         const container = document.getElementById('postsContainer');
         const categoryName = this.getCategoryName(this.currentCategory);
         
+        if (this.searchQuery) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🔍</div>
+                    <h3>Không tìm thấy kết quả</h3>
+                    <p>Không có bài viết nào khớp với "${this.escapeHtml(this.searchQuery)}" trong ${categoryName}.</p>
+                </div>
+            `;
+            return;
+        }
+        
         container.innerHTML = `
             <div class="empty-state">
                 <div class="empty-state-icon">🔍</div>
@@ -391,15 +585,68 @@ class AnonForum {
             title: formData.get('title') || document.getElementById('postTitle').value,
             content: formData.get('content') || document.getElementById('postContent').value,
             category: formData.get('category') || document.getElementById('postCategory').value,
-            tags: this.parseTags(formData.get('tags') || document.getElementById('postTags').value)
+            tags: this.parseTags(formData.get('tags') || document.getElementById('postTags').value),
+            lifetime: document.getElementById('postLifetime').value
         };
+        
+        const burnAfterViews = parseInt(document.getElementById('postBurnViews').value);
+        if (burnAfterViews > 0) {
+            postData.burnAfterViews = burnAfterViews;
+        }
+        
+        const isPrivate = document.getElementById('postPrivate').checked;
+        const images = isPrivate ? [] : Array.from(document.getElementById('postImages').files);
+        if (isPrivate && !E2E.isSupported()) {
+            this.showNotification('Trình duyệt không hỗ trợ mã hóa đầu cuối.', 'error');
+            return;
+        }
 
         this.setSubmitButtonLoading(true);
 
         try {
-            const response = await API.createPost(postData);
+            // Private thread: encrypt in the browser, the key never leaves it
+            let key = null;
+            if (isPrivate) {
+                key = await E2E.generateKey();
+                Object.assign(postData, {
+                    title: await E2E.encrypt(key, postData.title, 'title'),
+                    content: await E2E.encrypt(key, postData.content, 'content'),
+                    tags: [],
+                    isPrivate: true
+                });
+            }
+            
+            if (!navigator.onLine) {
+                throw new API.NetworkError('Offline');
+            }
+            
+            // Images are uploaded first; the post then refers to their ids
+            if (images.length > 0) {
+                const uploaded = await API.uploadImages(images, await this.solveChallenge('upload'));
+                postData.images = uploaded.images.map(({ id, token }) => ({ id, token }));
+            }
+            
+            const pow = await this.solveChallenge('post');
+            const response = await API.createPost(postData, pow);
+            this.saveControlToken('posts', response.post._id, response.controlToken);
             
-            this.showNotification('✅ Bài viết đã được đăng thành công!', 'success');
+            if (isPrivate) {
+                this.clearForm();
+                this.clearSavedFormData();
+                this.hideCreatePost();
+                
+                const link = E2E.buildLink(response.post._id, await E2E.exportKey(key));
+                prompt('🔒 Chủ đề riêng tư đã được tạo. Hãy lưu liên kết này, chỉ ai có nó mới đọc được:', link);
+                // Replace rather than push: the key must not stay in the history
+                this.navigate(new URL(link).hash, { replace: true });
+                return;
+            }
+            
+            if (response.heldForReview) {
+                this.showNotification('⏳ Bài viết đang chờ kiểm duyệt trước khi hiển thị.', 'info');
+            } else {
+                this.showNotification('✅ Bài viết đã được đăng thành công!', 'success');
+            }
             this.clearForm();
             this.clearSavedFormData();
             this.hideCreatePost();
@@ -409,11 +656,28 @@ class AnonForum {
             await this.loadStats();
             
         } catch (error) {
+            // Private threads need the link shown right away, and selected files
+            // cannot be kept in the outbox, so neither is queued
+            if (!isPrivate && images.length === 0 && Outbox.isOfflineError(error)) {
+                Outbox.add('post', postData);
+                this.clearForm();
+                this.clearSavedFormData();
+                this.hideCreatePost();
+                this.showNotification('📮 Bạn đang offline. Bài viết sẽ được gửi khi có kết nối.', 'info');
+                return;
+            }
+            
             console.error('Failed to create post:', error);
-            this.showNotification(
-                error.message || 'Không thể đăng bài viết. Vui lòng thử lại.',
-                'error'
-            );
+            this.showServerFieldErrors(error, {
+                title: 'postTitle',
+                content: 'postContent',
+                category: 'postCategory',
+                tags: 'postTags',
+                lifetime: 'postLifetime',
+                burnAfterViews: 'postBurnViews',
+                images: 'postImages'
+            });
+            this.showApiError(error, 'Không thể đăng bài viết. Vui lòng thử lại.');
         } finally {
             this.setSubmitButtonLoading(false);
         }
@@ -457,6 +721,19 @@ class AnonForum {
             isValid = false;
         }
         
+        // Validate images
+        const images = Array.from(document.getElementById('postImages').files);
+        if (images.length > IMAGE_LIMITS.maxCount) {
+            this.showFieldError('postImages', `Tối đa ${IMAGE_LIMITS.maxCount} ảnh`);
+            isValid = false;
+        } else if (images.some(file => !IMAGE_LIMITS.types.includes(file.type))) {
+            this.showFieldError('postImages', 'Chỉ hỗ trợ ảnh JPEG, PNG, WebP hoặc GIF');
+            isValid = false;
+        } else if (images.some(file => file.size > IMAGE_LIMITS.maxBytes)) {
+            this.showFieldError('postImages', 'Mỗi ảnh không được quá 5 MB');
+            isValid = false;
+        }
+        
         return isValid;
     }
 
@@ -479,6 +756,49 @@ class AnonForum {
         }
     }
 
+    // Mark the form fields named in a ValidationError; `fieldIds` maps the
+    // server's field names to input ids
+    showServerFieldErrors(error, fieldIds) {
+        if (!(error instanceof API.ValidationError)) return;
+        
+        Object.entries(error.fieldErrors).forEach(([field, message]) => {
+            const fieldId = fieldIds[field];
+            if (fieldId && document.getElementById(fieldId)) {
+                this.showFieldError(fieldId, message);
+            }
+        });
+    }
+
+    // User-facing message for an error thrown by the API client
+    describeError(error, fallback) {
+        if (error instanceof API.ValidationError) {
+            const messages = error.details.map(detail => detail.message);
+            return messages.length ? `Dữ liệu không hợp lệ: ${messages.join('; ')}` : error.message;
+        }
+        if (error instanceof API.RateLimitError) {
+            return error.retryAfter
+                ? `Bạn thao tác quá nhanh. Vui lòng thử lại sau ${Math.ceil(error.retryAfter / 60)} phút.`
+                : 'Bạn thao tác quá nhanh. Vui lòng thử lại sau.';
+        }
+        if (error instanceof API.ProofOfWorkError) {
+            return 'Xác minh chống spam thất bại hoặc mất quá nhiều thời gian. Vui lòng thử lại.';
+        }
+        if (error instanceof API.NotFoundError) {
+            return 'Nội dung không tồn tại hoặc đã hết hạn.';
+        }
+        if (error instanceof API.TimeoutError) {
+            return 'Máy chủ phản hồi quá chậm. Vui lòng thử lại.';
+        }
+        if (error instanceof API.NetworkError) {
+            return 'Không thể kết nối tới máy chủ. Kiểm tra kết nối mạng và thử lại.';
+        }
+        return fallback;
+    }
+
+    showApiError(error, fallback) {
+        this.showNotification(this.escapeHtml(this.describeError(error, fallback)), 'error');
+    }
+
     parseTags(tagsString) {
         if (!tagsString || !tagsString.trim()) return [];
         
@@ -508,6 +828,20 @@ class AnonForum {
     }
 
     // Utility functions
+    // Remaining lifetime, for posts that come without the server's timeUntilExpiry
+    formatTimeLeft(expiresAt) {
+        const timeLeft = new Date(expiresAt) - new Date();
+        if (!expiresAt || isNaN(timeLeft)) return 'Sắp hết hạn';
+        if (timeLeft <= 0) return 'Đã hết hạn';
+        
+        const days = Math.floor(timeLeft / (24 * 60 * 60 * 1000));
+        const hours = Math.floor((timeLeft % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000));
+        
+        if (days > 0) return `${days} ngày`;
+        if (hours > 0) return `${hours} giờ`;
+        return 'Dưới 1 giờ';
+    }
+
     formatNumber(num) {
         if (num >= 1000000) {
             return (num / 1000000).toFixed(1) + 'M';
@@ -532,20 +866,10 @@ class AnonForum {
         return date.toLocaleDateString('vi-VN');
     }
 
+    // Restricted, sanitized Markdown (js/markdown.js); used for posts,
+    // comments and both previews so they always render the same
     formatContent(content) {
-        if (!content) return '';
-        
-        // Escape HTML and convert line breaks
-        const escaped = this.escapeHtml(content);
-        
-        // Convert URLs to links
-        const withLinks = escaped.replace(
-            /(https?:\/\/[^\s]+)/g,
-            '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>'
-        );
-        
-        // Convert line breaks to <br>
-        return withLinks.replace(/\n/g, '<br>');
+        return Markdown.render(content);
     }
 
     escapeHtml(text) {
@@ -568,12 +892,134 @@ class AnonForum {
         return categories[category] || category;
     }
 
-    updateOnlineCounter() {
-        const count = 200 + Math.floor(Math.random() * 100);
-        const onlineElement = document.getElementById('onlineCount');
-        if (onlineElement) {
-            onlineElement.textContent = count;
+    // Presence heartbeat. The token is random and lives only as long as this
+    // page, so heartbeats from different visits cannot be linked.
+    async updateOnlineCounter() {
+        if (!this.presenceToken) {
+            const bytes = crypto.getRandomValues(new Uint8Array(16));
+            this.presenceToken = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        }
+        
+        try {
+            const presence = await API.sendHeartbeat(this.presenceToken, this.currentCategory);
+            
+            const onlineElement = document.getElementById('onlineCount');
+            if (onlineElement) {
+                onlineElement.textContent = this.formatNumber(presence.online);
+            }
+            
+            // Per-category viewers as a hint on the filter tabs
+            document.querySelectorAll('.filter-tab[data-category]').forEach(tab => {
+                const viewers = presence.categories[tab.dataset.category];
+                tab.title = viewers ? `~${viewers} người đang xem` : '';
+            });
+        } catch (error) {
+            console.warn('Presence heartbeat failed:', error);
+        }
+    }
+
+    // Live updates over Server-Sent Events. The stream is scoped to the
+    // current category and open thread, so it is reopened when they change.
+    connectStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        
+        if (!('EventSource' in window)) {
+            this.startPolling();
+            return;
+        }
+        
+        const source = new EventSource(API.streamUrl({
+            category: this.currentCategory,
+            postId: this.currentPostId || undefined
+        }));
+        
+        source.addEventListener('open', () => this.stopPolling());
+        source.addEventListener('post', (e) => this.handleLivePost(JSON.parse(e.data)));
+        source.addEventListener('comment', (e) => this.handleLiveComment(JSON.parse(e.data)));
+        source.addEventListener('counts', (e) => this.handleLiveCounts(JSON.parse(e.data)));
+        
+        source.addEventListener('error', () => {
+            // EventSource reconnects by itself; poll until it is back
+            this.startPolling();
+            
+            // A refused connection is not retried; try again later
+            if (source.readyState === EventSource.CLOSED && this.eventSource === source) {
+                this.eventSource = null;
+                setTimeout(() => {
+                    if (!this.eventSource) this.connectStream();
+                }, 5 * 60 * 1000);
+            }
+        });
+        
+        this.eventSource = source;
+    }
+
+    startPolling() {
+        if (!this.pollTimer) {
+            this.pollTimer = setInterval(() => this.autoRefresh(), 60000);
+        }
+    }
+
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    handleLivePost(post) {
+        // Only the newest-first feed can take a new post at the top
+        if (this.currentSort !== 'createdAt' || this.searchQuery) return;
+        if (this.posts.some(p => p._id === post._id)) return;
+        
+        this.posts.unshift(post);
+        
+        const container = document.getElementById('postsContainer');
+        const emptyState = container.querySelector('.empty-state');
+        if (emptyState) {
+            emptyState.remove();
+        }
+        container.insertAdjacentHTML('afterbegin', this.renderPostCard(post));
+    }
+
+    async handleLiveComment({ postId, comment }) {
+        if (postId !== this.currentPostId) return;
+        
+        if (this.privateThread?.postId === postId) {
+            comment.content = await E2E.decrypt(this.privateThread.key, comment.content, 'comment');
+            if (comment.content === null) return;
         }
+        
+        this.insertComment(comment);
+    }
+
+    handleLiveCounts(counts) {
+        const post = this.posts.find(p => p._id === counts.postId);
+        if (post) {
+            Object.assign(post, {
+                likes: counts.likes,
+                downvotes: counts.downvotes,
+                commentCount: counts.commentCount
+            });
+        }
+        
+        this.patchPostCounts(counts.postId, counts);
+    }
+
+    // Update the counters shown on a post card without re-rendering it
+    patchPostCounts(postId, { likes, downvotes, commentCount }) {
+        const setCount = (action, value) => {
+            if (value === undefined) return;
+            const el = document.querySelector(`[data-post-id="${postId}"][data-action="${action}"] span:last-child`);
+            if (el) {
+                el.textContent = value;
+            }
+        };
+        
+        setCount('like', likes);
+        setCount('downvote', downvotes);
+        setCount('comment', commentCount);
     }
 
     async autoRefresh() {
@@ -617,6 +1063,9 @@ class AnonForum {
             // Reset character counters
             document.getElementById('titleCounter').textContent = '0';
             document.getElementById('contentCounter').textContent = '0';
+            this.setEditorMode('postContent', 'write');
+            this.renderImagePreviews();
+            document.getElementById('postImages').disabled = false;
             
             // Clear any error states
             form.querySelectorAll('.form-group').forEach(group => {
@@ -629,41 +1078,100 @@ class AnonForum {
 
     // Post Actions
     async likePost(postId) {
+        // Clicking like again withdraws the vote
+        const post = this.posts.find(p => p._id === postId);
+        await this.votePost(postId, post?.myVote === 1 ? 0 : 1);
+    }
+
+    async downvotePost(postId) {
+        const post = this.posts.find(p => p._id === postId);
+        await this.votePost(postId, post?.myVote === -1 ? 0 : -1);
+    }
+
+    async votePost(postId, value) {
         try {
-            const button = document.querySelector(`[data-post-id="${postId}"][data-action="like"]`);
-            if (button.classList.contains('liked')) {
-                return; // Already liked
+            const response = await API.votePost(postId, value);
+            
+            const post = this.posts.find(p => p._id === postId);
+            if (post) {
+                Object.assign(post, {
+                    likes: response.likes,
+                    downvotes: response.downvotes,
+                    myVote: response.myVote
+                });
             }
-
-            const response = await API.likePost(postId);
             
             // Update UI
-            button.classList.add('liked');
-            button.querySelector('span:last-child').textContent = response.likes;
+            this.patchPostCounts(postId, response);
+            
+            const likeBtn = document.querySelector(`[data-post-id="${postId}"][data-action="like"]`);
+            if (likeBtn) {
+                likeBtn.classList.toggle('liked', response.myVote === 1);
+            }
+            
+            const downvoteBtn = document.querySelector(`[data-post-id="${postId}"][data-action="downvote"]`);
+            if (downvoteBtn) {
+                downvoteBtn.classList.toggle('disliked', response.myVote === -1);
+            }
             
             // Visual feedback
-            button.style.transform = 'scale(1.2)';
-            setTimeout(() => {
-                button.style.transform = '';
-            }, 200);
+            const button = value === -1 ? downvoteBtn : likeBtn;
+            if (button) {
+                button.style.transform = 'scale(1.2)';
+                setTimeout(() => {
+                    button.style.transform = '';
+                }, 200);
+            }
             
         } catch (error) {
-            console.error('Failed to like post:', error);
-            this.showNotification('Không thể like bài viết. Vui lòng thử lại.', 'error');
+            console.error('Failed to vote on post:', error);
+            this.showApiError(error, 'Không thể like bài viết. Vui lòng thử lại.');
         }
     }
 
-    async flagPost(postId) {
-        if (!confirm('Bạn có chắc muốn báo cáo bài viết này vi phạm quy định?')) {
-            return;
-        }
+    flagPost(postId) {
+        this.openReport({ type: 'post', postId });
+    }
+
+    flagComment(commentId) {
+        if (!this.currentPostId) return;
+        this.openReport({ type: 'comment', postId: this.currentPostId, commentId });
+    }
+
+    openReport(target) {
+        this.reportTarget = target;
+        document.getElementById('reportForm').reset();
+        document.getElementById('reportTargetLabel').textContent =
+            target.type === 'post' ? 'bài viết' : 'bình luận';
+        this.showModal('reportModal');
+    }
+
+    async handleReportSubmit(e) {
+        e.preventDefault();
+
+        const target = this.reportTarget;
+        const reason = new FormData(e.target).get('reason');
+        if (!target || !reason) return;
+
+        const label = target.type === 'post' ? 'bài viết' : 'bình luận';
 
         try {
-            await API.flagPost(postId);
-            this.showNotification('✅ Đã báo cáo bài viết. Cảm ơn bạn!', 'success');
+            if (target.type === 'post') {
+                await API.flagPost(target.postId, reason);
+            } else {
+                await API.flagComment(target.postId, target.commentId, reason);
+            }
+            this.showNotification(`✅ Đã báo cáo ${label}. Cảm ơn bạn!`, 'success');
         } catch (error) {
-            console.error('Failed to flag post:', error);
-            this.showNotification('Không thể báo cáo bài viết. Vui lòng thử lại.', 'error');
+            console.error(`Failed to flag ${target.type}:`, error);
+            if (error instanceof API.ConflictError) {
+                this.showNotification(`Bạn đã báo cáo ${label} này rồi.`, 'info');
+            } else {
+                this.showApiError(error, `Không thể báo cáo ${label}. Vui lòng thử lại.`);
+            }
+        } finally {
+            this.reportTarget = null;
+            this.closeModal('reportModal');
         }
     }
 
@@ -673,8 +1181,8 @@ class AnonForum {
 
         const shareData = {
             title: post.title,
-            text: post.content.substring(0, 100) + '...',
-            url: `${window.location.origin}#post-${postId}`
+            text: (post.content || '').substring(0, 100) + '...',
+            url: `${window.location.origin}${window.location.pathname}#/post/${postId}`
         };
 
         try {
@@ -700,18 +1208,154 @@ class AnonForum {
         }
     }
 
+    async deletePost(postId) {
+        const token = this.getControlToken('posts', postId);
+        if (!token) return;
+        
+        if (!confirm('Bạn có chắc muốn xóa bài viết này? Hành động không thể hoàn tác.')) {
+            return;
+        }
+
+        try {
+            await API.deletePost(postId, token);
+            this.removeControlToken('posts', postId);
+            
+            this.posts = this.posts.filter(p => p._id !== postId);
+            const postCard = document.querySelector(`.post-card[data-post-id="${postId}"]`);
+            if (postCard) postCard.remove();
+            if (this.posts.length === 0) this.renderEmptyState();
+            
+            this.showNotification('✅ Đã xóa bài viết của bạn', 'success');
+            await this.loadStats();
+        } catch (error) {
+            console.error('Failed to delete post:', error);
+            this.showApiError(error, 'Không thể xóa bài viết. Vui lòng thử lại.');
+        }
+    }
+
+    // Author control tokens (kept only in this browser)
+    getControlTokens() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('anonforum_tokens'));
+            return {
+                posts: saved?.posts || {},
+                comments: saved?.comments || {}
+            };
+        } catch (error) {
+            return { posts: {}, comments: {} };
+        }
+    }
+
+    getControlToken(type, id) {
+        return this.getControlTokens()[type][id] || null;
+    }
+
+    saveControlToken(type, id, token) {
+        if (!id || !token) return;
+        
+        try {
+            const tokens = this.getControlTokens();
+            tokens[type][id] = token;
+            localStorage.setItem('anonforum_tokens', JSON.stringify(tokens));
+        } catch (error) {
+            console.warn('Could not save control token:', error);
+        }
+    }
+
+    removeControlToken(type, id) {
+        try {
+            const tokens = this.getControlTokens();
+            delete tokens[type][id];
+            localStorage.setItem('anonforum_tokens', JSON.stringify(tokens));
+        } catch (error) {
+            console.warn('Could not remove control token:', error);
+        }
+    }
+
     // Comments
+    // Open the private thread named in the URL fragment, if any
+    async openPrivateThreadFromUrl() {
+        const target = E2E.parseFragment(location.hash);
+        if (!target) return false;
+        if (!E2E.isSupported()) {
+            this.showNotification('Trình duyệt không hỗ trợ mã hóa đầu cuối.', 'error');
+            return false;
+        }
+        
+        try {
+            this.privateThread = {
+                postId: target.postId,
+                key: await E2E.importKey(target.keyText)
+            };
+        } catch (error) {
+            this.showNotification('Liên kết chủ đề riêng tư không hợp lệ.', 'error');
+            return false;
+        }
+        
+        return this.showComments(target.postId);
+    }
+
+    // Decrypt a private thread in place; undecryptable parts get a placeholder
+    async decryptThread(post, comments) {
+        const key = this.privateThread?.postId === post._id ? this.privateThread.key : null;
+        const failed = '🔒 [Không thể giải mã — liên kết hoặc khóa không đúng]';
+        
+        const decryptComment = async (comment) => {
+            comment.content = (key && await E2E.decrypt(key, comment.content, 'comment')) || failed;
+            await Promise.all((comment.replies || []).map(decryptComment));
+        };
+        
+        post.title = (key && await E2E.decrypt(key, post.title, 'title')) || '🔒 Chủ đề riêng tư';
+        post.content = (key && await E2E.decrypt(key, post.content, 'content')) || failed;
+        await Promise.all(comments.map(decryptComment));
+    }
+
     async showComments(postId) {
+        // Opening a burn-after-reading post uses up one of its views
+        const listed = this.posts.find(p => p._id === postId);
+        if (listed?.burnAfterViews && !confirm('Bài viết này sẽ tự hủy sau một số lượt xem. Mở nó sẽ dùng một lượt. Tiếp tục?')) {
+            return false;
+        }
+        
         this.currentPostId = postId;
         
         try {
             const response = await API.getPostWithComments(postId);
+            if (response.post.isPrivate) {
+                await this.decryptThread(response.post, response.comments);
+            }
             this.renderCommentsModal(response.post, response.comments);
             this.showModal('commentsModal');
+            this.connectStream();
+            
+            if (response.post.burnAfterViews) {
+                this.updateBurnedPostCard(response.post);
+            }
+            return true;
             
         } catch (error) {
             console.error('Failed to load comments:', error);
-            this.showNotification('Không thể tải bình luận. Vui lòng thử lại.', 'error');
+            this.showApiError(error, 'Không thể tải bình luận. Vui lòng thử lại.');
+            return false;
+        }
+    }
+
+    // After a burn-after-reading post was opened: drop it from the feed if that
+    // was its last view, otherwise refresh the remaining view count
+    updateBurnedPostCard(post) {
+        const card = document.querySelector(`.post-card[data-post-id="${post._id}"]`);
+        
+        if (post.burned) {
+            this.posts = this.posts.filter(p => p._id !== post._id);
+            if (card) card.remove();
+            this.showNotification('🔥 Đây là lượt xem cuối cùng. Bài viết đã tự hủy.', 'warning');
+            return;
+        }
+        
+        const listed = this.posts.find(p => p._id === post._id);
+        if (listed && card) {
+            listed.viewCount = post.viewCount;
+            card.outerHTML = this.renderPostCard(listed);
         }
     }
 
@@ -724,7 +1368,8 @@ class AnonForum {
                 <span>${this.formatTimeAgo(new Date(post.createdAt))}</span>
             </div>
             <h3>${this.escapeHtml(post.title)}</h3>
-            <div class="post-content">${this.formatContent(post.content)}</div>
+            <div class="post-content markdown-body">${this.formatContent(post.content)}</div>
+            ${this.renderPostImages(post)}
         `;
 
         // Render comments
@@ -736,15 +1381,103 @@ class AnonForum {
                 </div>
             `;
         } else {
-            commentsList.innerHTML = comments.map(comment => `
-                <div class="comment-item">
-                    <div class="comment-header">
-                        <strong class="comment-anon-id">${this.escapeHtml(comment.anonId)}</strong>
-                        <span class="comment-timestamp">${this.formatTimeAgo(new Date(comment.createdAt))}</span>
-                    </div>
-                    <div class="comment-content">${this.formatContent(comment.content)}</div>
+            commentsList.innerHTML = comments.map(comment => this.renderComment(comment)).join('');
+        }
+    }
+
+    renderComment(comment, timestamp = null) {
+        const replies = (comment.replies || []).map(reply => this.renderComment(reply)).join('');
+        
+        return `
+            <div class="comment-item" data-comment-id="${comment._id}" data-depth="${comment.depth || 0}">
+                <div class="comment-header">
+                    <strong class="comment-anon-id">
+                        ${this.escapeHtml(comment.anonId)}
+                        ${comment.isOP ? '<span class="op-badge" title="Tác giả bài viết">OP</span>' : ''}
+                    </strong>
+                    <span class="comment-timestamp">${timestamp || this.formatTimeAgo(new Date(comment.createdAt))}</span>
                 </div>
-            `).join('');
+                <div class="comment-content markdown-body">${this.formatContent(comment.content)}</div>
+                <div class="comment-actions">
+                    <button class="comment-reply-btn" onclick="forum.replyToComment('${comment._id}')">
+                        ↩️ Trả lời
+                    </button>
+                    <button class="comment-reply-btn" onclick="forum.flagComment('${comment._id}')" title="Báo cáo vi phạm">
+                        🚩 Báo cáo
+                    </button>
+                    ${this.getControlToken('comments', comment._id) ? `
+                        <button class="comment-reply-btn" onclick="forum.deleteComment('${comment._id}')">
+                            🗑️ Xóa
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="comment-replies">${replies}</div>
+            </div>
+        `;
+    }
+
+    replyToComment(commentId) {
+        const commentEl = document.querySelector(`.comment-item[data-comment-id="${commentId}"]`);
+        if (!commentEl) return;
+        
+        this.replyToCommentId = commentId;
+        
+        const anonId = commentEl.querySelector('.comment-anon-id').firstChild.textContent.trim();
+        const indicator = document.getElementById('replyIndicator');
+        document.getElementById('replyTarget').textContent = anonId;
+        indicator.style.display = 'flex';
+        
+        document.getElementById('commentContent').focus();
+    }
+
+    async deleteComment(commentId) {
+        const token = this.getControlToken('comments', commentId);
+        if (!token || !this.currentPostId) return;
+        
+        if (!confirm('Bạn có chắc muốn xóa bình luận này?')) {
+            return;
+        }
+
+        try {
+            await API.deleteComment(this.currentPostId, commentId, token);
+            this.removeControlToken('comments', commentId);
+            
+            // Keep replies visible by moving them up one level
+            const commentEl = document.querySelector(`.comment-item[data-comment-id="${commentId}"]`);
+            if (commentEl) {
+                const replies = commentEl.querySelector(':scope > .comment-replies');
+                commentEl.replaceWith(...replies.children);
+            }
+            
+            const postCard = document.querySelector(`[data-post-id="${this.currentPostId}"]`);
+            if (postCard) {
+                const commentBtn = postCard.querySelector('[data-action="comment"] span:last-child');
+                if (commentBtn) {
+                    const currentCount = parseInt(commentBtn.textContent) || 0;
+                    commentBtn.textContent = Math.max(0, currentCount - 1);
+                }
+            }
+            
+            this.showNotification('✅ Đã xóa bình luận', 'success');
+        } catch (error) {
+            console.error('Failed to delete comment:', error);
+            this.showApiError(error, 'Không thể xóa bình luận. Vui lòng thử lại.');
+        }
+    }
+
+    clearCommentForm() {
+        document.getElementById('commentContent').value = '';
+        document.getElementById('commentCounter').textContent = '0';
+        this.setEditorMode('commentContent', 'write');
+        this.cancelReply();
+    }
+
+    cancelReply() {
+        this.replyToCommentId = null;
+        
+        const indicator = document.getElementById('replyIndicator');
+        if (indicator) {
+            indicator.style.display = 'none';
         }
     }
 
@@ -764,35 +1497,48 @@ class AnonForum {
             return;
         }
 
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        const commentData = {
+            content,
+            parentCommentId: this.replyToCommentId || undefined
+        };
+        const privateThread = this.privateThread?.postId === this.currentPostId ? this.privateThread : null;
+
         try {
-            const response = await API.createComment(this.currentPostId, { content });
+            if (privateThread) {
+                commentData.content = await E2E.encrypt(privateThread.key, content, 'comment');
+                commentData.isPrivate = true;
+            }
             
-            // Add new comment to the list
-            const commentsList = document.getElementById('commentsList');
-            const emptyState = commentsList.querySelector('.empty-state');
-            if (emptyState) {
-                emptyState.remove();
+            if (!navigator.onLine) {
+                throw new API.NetworkError('Offline');
             }
             
-            const newCommentHtml = `
-                <div class="comment-item" style="animation: bounceIn 0.5s ease;">
-                    <div class="comment-header">
-                        <strong class="comment-anon-id">${this.escapeHtml(response.comment.anonId)}</strong>
-                        <span class="comment-timestamp">Vừa xong</span>
-                    </div>
-                    <div class="comment-content">${this.formatContent(response.comment.content)}</div>
-                </div>
-            `;
+            const pow = await this.solveChallenge('comment');
+            const response = await API.createComment(this.currentPostId, commentData, pow);
+            this.saveControlToken('comments', response.comment._id, response.controlToken);
+            if (privateThread) {
+                response.comment.content = content;
+            }
             
-            commentsList.insertAdjacentHTML('beforeend', newCommentHtml);
+            // Held comments stay hidden until a moderator approves them
+            if (response.heldForReview) {
+                this.clearCommentForm();
+                this.showNotification('⏳ Bình luận đang chờ kiểm duyệt trước khi hiển thị.', 'info');
+                return;
+            }
+            
+            // Add new comment to the list
+            this.insertComment(response.comment);
             
             // Clear form
-            document.getElementById('commentContent').value = '';
-            document.getElementById('commentCounter').textContent = '0';
+            this.clearCommentForm();
             
-            // Update comment count in main post
+            // Update comment count in main post (the live stream sends the exact count)
             const postCard = document.querySelector(`[data-post-id="${this.currentPostId}"]`);
-            if (postCard) {
+            if (postCard && this.eventSource?.readyState !== EventSource.OPEN) {
                 const commentBtn = postCard.querySelector('[data-action="comment"] span:last-child');
                 if (commentBtn) {
                     const currentCount = parseInt(commentBtn.textContent) || 0;
@@ -803,31 +1549,136 @@ class AnonForum {
             this.showNotification('✅ Bình luận đã được đăng!', 'success');
             
         } catch (error) {
+            if (!privateThread && Outbox.isOfflineError(error)) {
+                Outbox.add('comment', commentData, this.currentPostId);
+                this.clearCommentForm();
+                this.showNotification('📮 Bạn đang offline. Bình luận sẽ được gửi khi có kết nối.', 'info');
+                return;
+            }
+            
             console.error('Failed to create comment:', error);
-            this.showNotification('Không thể đăng bình luận. Vui lòng thử lại.', 'error');
+            this.showApiError(error, 'Không thể đăng bình luận. Vui lòng thử lại.');
+        } finally {
+            submitBtn.disabled = false;
         }
     }
 
-    // Filtering and Sorting
-    async filterPosts(category) {
-        this.currentCategory = category;
-        this.currentPage = 1;
+    // Append a comment to the open thread. Replies go under their parent; the
+    // server may re-parent replies at the depth cap.
+    insertComment(comment) {
+        // The live stream and our own submit can both deliver the same comment
+        if (document.querySelector(`.comment-item[data-comment-id="${comment._id}"]`)) return;
         
-        // Update active filter button
-        document.querySelectorAll('.filter-tab').forEach(btn => {
-            btn.classList.remove('active');
+        const commentsList = document.getElementById('commentsList');
+        const emptyState = commentsList.querySelector('.empty-state');
+        if (emptyState) {
+            emptyState.remove();
+        }
+        
+        const parentId = comment.parentCommentId;
+        const parentEl = parentId
+            ? commentsList.querySelector(`.comment-item[data-comment-id="${parentId}"] > .comment-replies`)
+            : null;
+        
+        (parentEl || commentsList).insertAdjacentHTML(
+            'beforeend',
+            this.renderComment(comment, 'Vừa xong')
+        );
+    }
+
+    // Send posts and comments queued while offline (see js/outbox.js)
+    async flushOutbox() {
+        clearTimeout(this.outboxTimer);
+        if (!navigator.onLine || Outbox.size() === 0) return;
+        
+        const { sent, dropped, retryAt } = await Outbox.flush(item => this.sendOutboxItem(item));
+        
+        if (sent.length > 0) {
+            this.showNotification(`📮 Đã gửi ${sent.length} nội dung viết khi offline.`, 'success');
+            await this.loadPosts(1);
+            await this.loadStats();
+        }
+        
+        dropped.forEach(({ item, error }) => {
+            const label = item.type === 'post' ? 'bài viết' : 'bình luận';
+            this.showApiError(error, `Không thể gửi ${label} viết khi offline.`);
         });
-        document.querySelector(`[data-category="${category}"]`).classList.add('active');
         
-        await this.loadPosts(1);
+        if (retryAt) {
+            this.outboxTimer = setTimeout(() => this.flushOutbox(), Math.max(0, retryAt - Date.now()));
+        }
     }
 
-    async sortPosts() {
-        const sortSelect = document.getElementById('sortBy');
-        this.currentSort = sortSelect.value;
-        this.currentPage = 1;
+    async sendOutboxItem(item) {
+        const pow = await this.solveChallenge(item.type);
         
-        await this.loadPosts(1);
+        if (item.type === 'post') {
+            const response = await API.createPost(item.data, pow);
+            this.saveControlToken('posts', response.post._id, response.controlToken);
+            return response;
+        }
+        
+        const response = await API.createComment(item.postId, item.data, pow);
+        this.saveControlToken('comments', response.comment._id, response.controlToken);
+        if (item.postId === this.currentPostId && !response.heldForReview) {
+            this.insertComment(response.comment);
+        }
+        return response;
+    }
+
+    // Proof of work: fetch a challenge and solve it in a Web Worker so the page
+    // stays responsive. Resolves to { challenge, nonce }, or null when the
+    // server does not require it.
+    async solveChallenge(purpose) {
+        const challenge = await API.getChallenge(purpose);
+        if (!challenge.required) return null;
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker('js/pow-worker.js');
+
+            const timer = setTimeout(() => {
+                worker.terminate();
+                reject(new API.ProofOfWorkError('Proof of work timed out'));
+            }, 120000);
+
+            worker.onmessage = ({ data }) => {
+                clearTimeout(timer);
+                worker.terminate();
+                resolve({ challenge: challenge.challenge, nonce: data.nonce });
+            };
+
+            worker.onerror = (error) => {
+                clearTimeout(timer);
+                worker.terminate();
+                reject(new API.ProofOfWorkError(error.message || 'Proof of work failed'));
+            };
+
+            worker.postMessage({ challenge: challenge.challenge, difficulty: challenge.difficulty });
+        });
+    }
+
+    // Filtering and Sorting
+    filterPosts(category) {
+        this.navigate(this.feedHash({ category, page: 1 }));
+    }
+
+    searchPosts(query) {
+        const nextQuery = this.normalizeSearchQuery(query);
+        if (nextQuery === this.searchQuery) return;
+        
+        // Typing should not leave a history entry per keystroke
+        this.navigate(this.feedHash({ q: nextQuery, page: 1 }), { replace: true });
+    }
+
+    // The server needs at least 2 characters; keep showing the feed until then
+    normalizeSearchQuery(query) {
+        const trimmed = (query || '').trim();
+        return trimmed.length >= 2 ? trimmed : '';
+    }
+
+    sortPosts() {
+        const sortSelect = document.getElementById('sortBy');
+        this.navigate(this.feedHash({ sort: sortSelect.value, page: 1 }));
     }
 
     async refreshPosts() {
@@ -861,14 +1712,134 @@ class AnonForum {
         nextBtn.disabled = !pagination.hasNext;
     }
 
-    async changePage(direction) {
+    changePage(direction) {
         const newPage = this.currentPage + direction;
         if (newPage < 1) return;
         
-        await this.loadPosts(newPage);
+        this.navigate(this.feedHash({ page: newPage }));
         window.scrollTo({ top: 0, behavior: 'smooth' });
     }
 
+    // Routing
+    // The URL fragment holds the current view, so reloads, shared links and
+    // back/forward navigation all restore it:
+    //   #/  or  #/c/<category>           feed, optionally ?sort=&q=&page=
+    //   #/post/<id>                      comments view of one post
+    //   #private-<id>.<key>              private thread (see js/encryption.js)
+    // `#post-<id>` links shared by older versions still open the post.
+    parseRoute(hash = location.hash) {
+        const [path, queryString = ''] = hash.replace(/^#/, '').split('?');
+        
+        const post = /^(?:\/post\/|post-)([0-9a-fA-F]{24})$/.exec(path);
+        if (post) return { postId: post[1] };
+        
+        const query = new URLSearchParams(queryString);
+        const category = /^\/c\/([a-z]+)$/.exec(path)?.[1];
+        const sort = query.get('sort');
+        const sortOptions = Array.from(document.getElementById('sortBy')?.options || [], option => option.value);
+        
+        return {
+            category: category && document.querySelector(`.filter-tab[data-category="${category}"]`) ? category : 'all',
+            sort: sortOptions.includes(sort) ? sort : 'createdAt',
+            q: this.normalizeSearchQuery(query.get('q')),
+            page: Math.max(1, parseInt(query.get('page')) || 1)
+        };
+    }
+
+    // Fragment for the feed, with `changes` applied to the current state
+    feedHash(changes = {}) {
+        const { category, sort, q, page } = {
+            category: this.currentCategory,
+            sort: this.currentSort,
+            q: this.searchQuery,
+            page: this.currentPage,
+            ...changes
+        };
+        
+        const query = new URLSearchParams();
+        if (sort !== 'createdAt') query.set('sort', sort);
+        if (q) query.set('q', q);
+        if (page > 1) query.set('page', page);
+        
+        const search = query.toString();
+        return `#${category !== 'all' ? `/c/${category}` : '/'}${search ? `?${search}` : ''}`;
+    }
+
+    // Switch views through the history so back/forward can undo it
+    navigate(hash, { replace = false, state = null } = {}) {
+        if (hash === location.hash) return;
+        
+        history[replace ? 'replaceState' : 'pushState'](state, '', hash);
+        this.applyRoute();
+    }
+
+    openPost(postId) {
+        this.navigate(`#/post/${postId}`, { state: { fromFeed: true } });
+    }
+
+    // Bring the page in line with the URL fragment
+    async applyRoute({ initial = false } = {}) {
+        const privateTarget = E2E.parseFragment(location.hash);
+        const route = privateTarget ? { postId: privateTarget.postId } : this.parseRoute();
+        
+        if (route.postId) {
+            // A permalink opened directly still shows the feed behind the post
+            if (initial) await this.loadPosts();
+            if (route.postId === this.currentPostId) return;
+            
+            const opened = privateTarget
+                ? await this.openPrivateThreadFromUrl()
+                : await this.showComments(route.postId);
+            if (!opened) this.leavePostRoute();
+            return;
+        }
+        
+        if (this.currentPostId) this.hideComments();
+        await this.applyFeedState(route, initial);
+    }
+
+    async applyFeedState({ category, sort, q, page }, initial = false) {
+        const categoryChanged = category !== this.currentCategory;
+        const changed = initial || categoryChanged || sort !== this.currentSort ||
+            q !== this.searchQuery || page !== this.currentPage;
+        
+        this.currentCategory = category;
+        this.currentSort = sort;
+        this.searchQuery = q;
+        
+        // Reflect the state in the controls
+        document.querySelectorAll('.filter-tab').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.category === category);
+        });
+        document.getElementById('sortBy').value = sort;
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput && document.activeElement !== searchInput) {
+            searchInput.value = q;
+        }
+        
+        // init() connects the stream and presence itself
+        if (categoryChanged && !initial) {
+            this.connectStream();
+            this.updateOnlineCounter();
+        }
+        
+        if (changed) await this.loadPosts(page);
+    }
+
+    // Leave a post view: step back if it was opened from the feed, otherwise
+    // replace the entry with the feed. Private thread keys are never kept in
+    // the history, so those are always replaced.
+    leavePostRoute() {
+        const stepBack = history.state?.fromFeed && !E2E.parseFragment(location.hash);
+        
+        this.hideComments();
+        if (stepBack) {
+            history.back();
+        } else {
+            history.replaceState(null, '', this.feedHash());
+        }
+    }
+
     // Modal Management
     showModal(modalId) {
         const modal = document.getElementById(modalId);
@@ -893,6 +1864,8 @@ class AnonForum {
     }
 
     closeAllModals() {
+        if (this.currentPostId) this.closeCommentsModal();
+        
         document.querySelectorAll('.modal.active').forEach(modal => {
             modal.classList.remove('active');
         });
@@ -900,8 +1873,16 @@ class AnonForum {
     }
 
     closeCommentsModal() {
+        this.leavePostRoute();
+    }
+
+    hideComments() {
         this.closeModal('commentsModal');
         this.currentPostId = null;
+        this.privateThread = null; // forget the thread key
+        this.setEditorMode('commentContent', 'write');
+        this.cancelReply();
+        this.connectStream();
     }
 
     // Notifications
@@ -969,6 +1950,7 @@ window.sortPosts = () => forum?.sortPosts();
 window.refreshPosts = () => forum?.refreshPosts();
 window.changePage = (direction) => forum?.changePage(direction);
 window.closeCommentsModal = () => forum?.closeCommentsModal();
+window.cancelReply = () => forum?.cancelReply();
 window.closeModal = (modalId) => forum?.closeModal(modalId);
 window.showAbout = () => forum?.showAbout();
 window.showPrivacyPolicy = () => forum?.showPrivacyPolicy();
@@ -0,0 +1,183 @@
+// Restricted Markdown for posts and comments.
+// Supported: **bold**, *italic*, ~~strike~~, `code`, ``` fenced code ```,
+// > quotes, - / 1. lists, [links](https://...), bare URLs and ||spoilers||.
+// Anything else stays literal text. The generated HTML is passed through an
+// allowlist sanitizer before use, so a renderer bug cannot inject markup.
+const Markdown = {
+    MAX_QUOTE_DEPTH: 3,
+
+    // tag -> attribute -> check for the value
+    ALLOWED: {
+        P: {},
+        BR: {},
+        STRONG: {},
+        EM: {},
+        DEL: {},
+        CODE: { class: value => /^language-[\w+-]{1,30}$/.test(value) },
+        PRE: {},
+        BLOCKQUOTE: {},
+        UL: {},
+        OL: {},
+        LI: {},
+        A: {
+            href: value => /^https?:\/\//i.test(value),
+            target: value => value === '_blank',
+            rel: value => value === 'noopener noreferrer nofollow'
+        },
+        SPAN: {
+            class: value => value === 'spoiler',
+            tabindex: value => value === '0',
+            title: value => value === 'Nhấn để xem'
+        }
+    },
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    render(text) {
+        if (!text) return '';
+
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        return this.sanitize(this.renderBlocks(lines, 0));
+    },
+
+    renderBlocks(lines, depth) {
+        const html = [];
+        let i = 0;
+
+        const collect = (test, strip) => {
+            const block = [];
+            while (i < lines.length && test(lines[i])) {
+                block.push(strip(lines[i]));
+                i++;
+            }
+            return block;
+        };
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            // Fenced code: everything up to the closing fence (or the end) is literal
+            const fence = /^\s*```\s*([\w+-]{0,30})\s*$/.exec(line);
+            if (fence) {
+                i++;
+                const code = collect(l => !/^\s*```\s*$/.test(l), l => l);
+                i++;
+                const language = fence[1] ? ` class="language-${fence[1]}"` : '';
+                html.push(`<pre><code${language}>${this.escape(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if (/^\s*>/.test(line) && depth < this.MAX_QUOTE_DEPTH) {
+                const quoted = collect(l => /^\s*>/.test(l), l => l.replace(/^\s*> ?/, ''));
+                html.push(`<blockquote>${this.renderBlocks(quoted, depth + 1)}</blockquote>`);
+                continue;
+            }
+
+            if (/^\s*[-*+]\s+/.test(line)) {
+                const items = collect(l => /^\s*[-*+]\s+/.test(l), l => l.replace(/^\s*[-*+]\s+/, ''));
+                html.push(`<ul>${items.map(item => `<li>${this.renderInline(item)}</li>`).join('')}</ul>`);
+                continue;
+            }
+
+            if (/^\s*\d{1,9}[.)]\s+/.test(line)) {
+                const items = collect(l => /^\s*\d{1,9}[.)]\s+/.test(l), l => l.replace(/^\s*\d{1,9}[.)]\s+/, ''));
+                html.push(`<ol>${items.map(item => `<li>${this.renderInline(item)}</li>`).join('')}</ol>`);
+                continue;
+            }
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Paragraph: consecutive lines that do not start another block
+            const paragraph = collect(
+                l => l.trim() && !/^\s*(```|>|[-*+]\s|\d{1,9}[.)]\s)/.test(l),
+                l => l
+            );
+            if (paragraph.length === 0) {
+                // A '>' line past the quote depth limit is plain text
+                paragraph.push(lines[i++]);
+            }
+            html.push(`<p>${paragraph.map(l => this.renderInline(l)).join('<br>')}</p>`);
+        }
+
+        return html.join('');
+    },
+
+    renderInline(text) {
+        // Code spans are literal; everything else gets formatting
+        return text.split(/(`[^`\n]+`)/).map((part, index) =>
+            index % 2 === 1
+                ? `<code>${this.escape(part.slice(1, -1))}</code>`
+                : this.renderFormatting(part)
+        ).join('');
+    },
+
+    renderFormatting(text) {
+        // Links are swapped for placeholders first so emphasis markers inside
+        // URLs (e.g. underscores) are left alone
+        const links = [];
+        const placeholder = (html) => `\u0000${links.push(html) - 1}\u0000`;
+
+        const withLinks = text.replace(/\u0000/g, '').replace(
+            /\[([^\]\n]{1,200})\]\((https?:\/\/[^\s()<>"']+)\)|(https?:\/\/[^\s<>"']*[^\s<>"'.,:;!?)])/g,
+            (match, label, url, bare) => placeholder(
+                `<a href="${this.escape(url || bare)}" target="_blank" rel="noopener noreferrer nofollow">` +
+                `${label ? this.renderEmphasis(this.escape(label)) : this.escape(bare)}</a>`
+            )
+        );
+
+        return this.renderEmphasis(this.escape(withLinks))
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => links[index]);
+    },
+
+    renderEmphasis(text) {
+        return text
+            .replace(/\|\|(?=\S)(.+?)\|\|/g, '<span class="spoiler" tabindex="0" title="Nhấn để xem">$1</span>')
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)(.+?)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+    },
+
+    // Rebuild `html` keeping only allowlisted tags and attributes; any other
+    // element is replaced by its text
+    sanitize(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const clean = (node) => {
+            Array.from(node.childNodes).forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) return;
+
+                const allowed = child.nodeType === Node.ELEMENT_NODE &&
+                    Object.hasOwn(this.ALLOWED, child.tagName) && this.ALLOWED[child.tagName];
+                if (!allowed) {
+                    child.replaceWith(document.createTextNode(child.textContent || ''));
+                    return;
+                }
+
+                Array.from(child.attributes).forEach(({ name, value }) => {
+                    if (!Object.hasOwn(allowed, name) || !allowed[name](value)) {
+                        child.removeAttribute(name);
+                    }
+                });
+                clean(child);
+            });
+        };
+
+        clean(template.content);
+        return template.innerHTML;
+    }
+};
+
+window.Markdown = Markdown;
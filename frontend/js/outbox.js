@@ -0,0 +1,107 @@
+// Outbox for posts and comments written while offline.
+// Items are kept in localStorage and sent in order once the connection is
+// back. Proof of work is solved at send time (challenges expire), so only the
+// plain request body is stored. A 429 pauses the whole queue until the
+// server's retryAfter has passed; the pause survives reloads.
+const Outbox = {
+    STORAGE_KEY: 'anonforum_outbox',
+    TRANSIENT_RETRY_MS: 60 * 1000,
+    DEFAULT_RATE_LIMIT_MS: 60 * 1000,
+
+    flushing: false,
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return {
+                items: Array.isArray(saved?.items) ? saved.items : [],
+                notBefore: Number(saved?.notBefore) || 0
+            };
+        } catch (error) {
+            return { items: [], notBefore: 0 };
+        }
+    },
+
+    save(state) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(state));
+    },
+
+    size() {
+        return this.load().items.length;
+    },
+
+    // type: 'post' | 'comment'; comments also need the postId they belong to
+    add(type, data, postId = null) {
+        const state = this.load();
+        state.items.push({
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            type,
+            postId,
+            data,
+            queuedAt: new Date().toISOString()
+        });
+        this.save(state);
+    },
+
+    remove(id) {
+        const state = this.load();
+        state.items = state.items.filter(item => item.id !== id);
+        this.save(state);
+    },
+
+    // The request never reached the server, so it is worth queueing
+    isOfflineError(error) {
+        return !navigator.onLine ||
+            error instanceof API.NetworkError ||
+            error instanceof API.TimeoutError;
+    },
+
+    // Send queued items in order with `send(item)`, stopping at the first one
+    // that cannot go out yet. Items the server rejects for good (validation,
+    // post expired, ...) are dropped. Returns { sent: [{ item, response }],
+    // dropped: [{ item, error }], retryAt } where retryAt (ms) is set when
+    // items are left.
+    async flush(send) {
+        const result = { sent: [], dropped: [], retryAt: null };
+        const { items, notBefore } = this.load();
+
+        if (this.flushing || items.length === 0) return result;
+        if (notBefore > Date.now()) {
+            result.retryAt = notBefore;
+            return result;
+        }
+
+        this.flushing = true;
+        try {
+            for (const item of items) {
+                try {
+                    result.sent.push({ item, response: await send(item) });
+                    this.remove(item.id);
+                } catch (error) {
+                    if (error instanceof API.RateLimitError) {
+                        const state = this.load();
+                        state.notBefore = Date.now() + (error.retryAfter ? error.retryAfter * 1000 : this.DEFAULT_RATE_LIMIT_MS);
+                        this.save(state);
+                        result.retryAt = state.notBefore;
+                        break;
+                    }
+                    if (this.isOfflineError(error) ||
+                        error instanceof API.ServerError ||
+                        error instanceof API.ProofOfWorkError) {
+                        result.retryAt = Date.now() + this.TRANSIENT_RETRY_MS;
+                        break;
+                    }
+
+                    this.remove(item.id);
+                    result.dropped.push({ item, error });
+                }
+            }
+        } finally {
+            this.flushing = false;
+        }
+
+        return result;
+    }
+};
+
+window.Outbox = Outbox;
@@ -0,0 +1,30 @@
+// Proof-of-work solver, run off the main thread.
+// Finds a nonce such that SHA-256(`${challenge}:${nonce}`) starts with
+// `difficulty` zero bits, matching backend/utils/proofOfWork.js.
+
+const leadingZeroBits = (digest) => {
+    let bits = 0;
+    for (const byte of digest) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+};
+
+self.onmessage = async ({ data }) => {
+    const { challenge, difficulty } = data;
+    const encoder = new TextEncoder();
+
+    for (let nonce = 0; ; nonce++) {
+        const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+
+        if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+            self.postMessage({ nonce: String(nonce) });
+            return;
+        }
+    }
+};
@@ -0,0 +1,112 @@
+// Service worker: keeps the app shell and the most recently viewed feed pages
+// available offline. Everything else (post pages, comments, live stream,
+// presence, moderation, writes) always goes to the network; a post opened
+// through the cache could otherwise outlive its expiry or view limit.
+// Posts and comments written offline are queued by js/outbox.js, not here.
+
+const VERSION = 'v2';
+const SHELL_CACHE = `anonforum-shell-${VERSION}`;
+const FEED_CACHE = `anonforum-feed-${VERSION}`;
+const MAX_FEED_ENTRIES = 30;
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/manifest.json',
+    '/css/style.css',
+    '/css/responsive.css',
+    '/js/utils.js',
+    '/js/api.js',
+    '/js/encryption.js',
+    '/js/outbox.js',
+    '/js/markdown.js',
+    '/js/main.js',
+    '/js/pow-worker.js',
+    '/assets/icons/icon.svg',
+    '/assets/icons/favicon.ico'
+];
+
+// Feed listings and stats; post detail (/api/posts/<id>) is deliberately absent
+const FEED_PATTERN = /^\/api\/posts(\/category\/[a-z]+|\/stats\/overview)?$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('anonforum-') && ![SHELL_CACHE, FEED_CACHE].includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith('/api/')) {
+        if (FEED_PATTERN.test(url.pathname)) {
+            event.respondWith(networkFirst(request));
+        }
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(() => caches.match('/index.html'))
+        );
+        return;
+    }
+
+    if (SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+// Fresh feed when online; the last copy of the same page when not
+async function networkFirst(request) {
+    const cache = await caches.open(FEED_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.delete(request); // re-inserted as the newest entry
+            await cache.put(request, response.clone());
+            await trimCache(cache, MAX_FEED_ENTRIES);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || refresh;
+}
+
+// Cache keys come back in insertion order, so the oldest pages go first
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}